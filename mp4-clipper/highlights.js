@@ -0,0 +1,101 @@
+/* Highlight candidates from one analysis pass over a game. ffmpeg's
+   metadata=print / ametadata=print filters log one value per frame:
+
+     frame:12   pts:12000  pts_time:12
+     lavfi.astats.Overall.RMS_level=-31.25
+
+   Audio is the RMS level of each second (crowd and bench shouting); motion is
+   the mean luma difference between consecutive frames, sampled a few times a
+   second (play bursting into a run, a celebration). Both are scored against the game's own baseline, so
+   a loud venue or a shaky camera does not drown the peaks. */
+
+export const AUDIO_KEY = "lavfi.astats.Overall.RMS_level";
+export const MOTION_KEY = "lavfi.signalstats.YAVG";
+
+/* [{ t, v }] from a metadata=print log, for one key */
+export function parseMetadataLog(text, key) {
+  const out = [];
+  let t = null;
+  for (const line of text.split(/\r?\n/)) {
+    const pts = line.match(/pts_time:([\d.]+)/);
+    if (pts) { t = Number(pts[1]); continue; }
+    if (t === null || !line.startsWith(`${key}=`)) continue;
+    const raw = line.slice(key.length + 1).trim();
+    const v = raw === "-inf" ? -Infinity : Number(raw); // astats logs silence as -inf
+    if (!Number.isNaN(v)) out.push({ t, v });
+  }
+  return out;
+}
+
+/* One value per whole second (max of the samples in it); gaps hold null */
+function perSecond(samples, duration, map = (v) => v) {
+  const buckets = new Array(Math.max(0, Math.ceil(duration))).fill(null);
+  for (const { t, v } of samples) {
+    const i = Math.floor(t);
+    if (i < 0 || i >= buckets.length) continue;
+    const m = map(v);
+    if (buckets[i] === null || m > buckets[i]) buckets[i] = m;
+  }
+  // a second with no sample (a dropped segment) carries the last value
+  for (let i = 1; i < buckets.length; i++) if (buckets[i] === null) buckets[i] = buckets[i - 1];
+  return buckets;
+}
+
+const median = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  return s.length ? s[Math.floor(s.length / 2)] : 0;
+};
+
+/* Robust z-scores: (x - median) / MAD, so a handful of peaks stand out */
+function robustZ(xs) {
+  const vals = xs.filter((x) => x !== null);
+  const med = median(vals);
+  const mad = median(vals.map((x) => Math.abs(x - med))) || 1e-6;
+  return xs.map((x) => (x === null ? 0 : (x - med) / (1.4826 * mad)));
+}
+
+function smooth(xs, radius) {
+  return xs.map((_, i) => {
+    let sum = 0, n = 0;
+    for (let j = Math.max(0, i - radius); j <= Math.min(xs.length - 1, i + radius); j++) { sum += xs[j]; n++; }
+    return n ? sum / n : 0;
+  });
+}
+
+/* Candidate highlights, in game order:
+     [{ time, start, end, score, audio, motion }]
+   time is the peak; start/end is the suggested A/B (the play comes before the
+   cheer, so more lead-in than tail). */
+export function pickHighlights({ audio, motion, duration }, {
+  max = 20, minGapSec = 30, threshold = 2.5, leadSec = 8, tailSec = 4, audioWeight = 0.6,
+} = {}) {
+  if (!(duration > 0)) return [];
+  // RMS_level is in dBFS; silence is -Infinity
+  const a = robustZ(perSecond(audio, duration, (db) => (Number.isFinite(db) ? db : -120)));
+  const m = robustZ(perSecond(motion, duration));
+  const hasAudio = audio.length > 0, hasMotion = motion.length > 0;
+  const wa = hasAudio && hasMotion ? audioWeight : hasAudio ? 1 : 0;
+  const score = smooth(a.map((z, i) => wa * z + (1 - wa) * m[i]), 1);
+
+  const peaks = [];
+  for (let i = 1; i < score.length - 1; i++) {
+    if (score[i] >= threshold && score[i] >= score[i - 1] && score[i] >= score[i + 1]) peaks.push(i);
+  }
+  // strongest first, then drop anything too close to a stronger one
+  peaks.sort((x, y) => score[y] - score[x]);
+  const kept = [];
+  for (const i of peaks) {
+    if (kept.length >= max) break;
+    if (kept.every((k) => Math.abs(k - i) >= minGapSec)) kept.push(i);
+  }
+  return kept
+    .sort((x, y) => x - y)
+    .map((i) => ({
+      time: i,
+      start: Math.max(0, i - leadSec),
+      end: Math.min(duration, i + tailSec),
+      score: +score[i].toFixed(2),
+      audio: +a[i].toFixed(2),
+      motion: +m[i].toFixed(2),
+    }));
+}
@@ -5,35 +5,263 @@ import os from "os";
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
+import { MongoClient, ObjectId } from "mongodb";
+import jwt from "jsonwebtoken";
+import Redis from "ioredis";
+import { S3Client, GetObjectCommand, HeadObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import { pipeline } from "stream/promises";
+import { createSourceResolver, isMasterPlaylist, masterRenditions } from "./sources.js";
+import { AUDIO_KEY, MOTION_KEY, parseMetadataLog, pickHighlights } from "./highlights.js";
 
 const app = express();
 app.use(express.json()); // <-- NEW: parse JSON bodies
+// Only Render's proxy is trusted: req.ip is whoever connected to it (Vercel's
+// edge for site traffic, the caller itself when Render is hit directly), which
+// no header can change. Per-client limits use the playback token (rateClient).
+app.set("trust proxy", 1);
 
 /* Env (Render → Environment Variables)
-   BASE        required (e.g. https://fision-videos-worker.myfisionupload.workers.dev)
+   BASE        required for R2 game codes (e.g. https://fision-videos-worker.myfisionupload.workers.dev)
    PLAYLIST    optional (default: stream_0.m3u8)
+   CF_STREAM_CUSTOMER   optional (e.g. customer-i0m64n4ewjbcmjc7) — enables Cloudflare Stream UIDs
+   SOURCE_ALLOWED_HOSTS optional — comma list of extra hosts whose .m3u8 URLs may be clipped
    UA          optional (default: desktop Chrome UA used for origin fetch)
    REFERER     optional (set if origin requires it)
    TIMEOUT_MS  optional (default: 20000) — watchdog for first byte
    SOLID_MP4   optional (default: "") — set "1" to always write solid MP4 to temp and then send
+               (accurate=1 clips and /reel are always solid)
+   MAX_REEL_RANGES optional (default: 20) — ranges per /reel request
+   MAX_REEL_SEC    optional (default: 600) — total /reel or /clips length in seconds
+   REDIS_URL   optional — shared job store and /clips queue (in-memory, single instance if unset)
+   JOB_TTL_SEC optional (default: 86400) — how long job state is kept
+   CACHE_DIR   optional (default: <tmpdir>/fision-clip-cache) — finished clips, shared by /clip, /reel and /clips
+   CACHE_MAX_MB      optional (default: 2048) — disk cache size before least-recently-used clips go
+   CACHE_MAX_AGE_SEC optional (default: 604800) — disk cache entries older than this go regardless
+   S3_BUCKET   optional — also keep finished clips in this S3-compatible bucket (e.g. R2);
+               required for /clips, whose files must outlive the instance that rendered them
+   S3_ENDPOINT, S3_REGION (default: auto), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIX (default: clips/)
+   VIDEOS_BUCKET optional — the bucket BASE serves videos/ from; enables adaptive bitrate packaging
+                 (same S3_ENDPOINT/credentials; VIDEOS_PREFIX default: videos/)
+   ABR_PLAYLIST  optional (default: master.m3u8) — packaged master playlist next to PLAYLIST
+   ABR_HEIGHTS   optional (default: 1080,720,480) — extra renditions below the original's height
+   MAX_FFMPEG        optional (default: 2) — renders running at once; the rest queue
+   MAX_RENDER_QUEUE  optional (default: 20) — queued renders before new requests get 503
+   RATE_IP_PER_MIN   optional (default: 12) — clip requests per client IP per minute
+   RATE_CODE_PER_MIN optional (default: 40) — clip requests per game code per minute
+   MAX_ANIM_SEC      optional (default: 15) — longest range for format=gif|webp
+   THUMB_EVERY_SEC   optional (default: 10) — seek-bar thumbnail spacing
+   PUBLIC_SITE_URL optional — site serving logo.png, the default brand=1 watermark
+   FONT_FILE   optional (default: DejaVu Sans Bold from fonts-dejavu-core) — overlay text font
+   VENUE_TZ    optional (default: Asia/Jerusalem) — time zone of the date overlay
+   MONGO_URI   required for comments, brand templates, packaging and highlights (same cluster as the recording server)
+   JWT_SECRET  required: verifies comment sign-ins (same secret as the recording server)
+   PLAYBACK_SECRET required: verifies playback tokens and signs the clipper's own requests to
+               BASE (same secret as the recording server and the R2 video worker; see sources.js)
 */
 const BASE        = process.env.BASE;
 const PLAYLIST    = process.env.PLAYLIST || "stream_0.m3u8";
+const CF_STREAM_CUSTOMER = process.env.CF_STREAM_CUSTOMER || "";
+const SOURCE_ALLOWED_HOSTS = (process.env.SOURCE_ALLOWED_HOSTS || "").split(",");
 const UA          = process.env.UA || "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36";
 const REFERER     = process.env.REFERER || "";
 const TIMEOUT_MS  = Number(process.env.TIMEOUT_MS || 20000);
 const FORCE_SOLID = process.env.SOLID_MP4 === "1";
+const MONGO_URI   = process.env.MONGO_URI || "";
+const JWT_SECRET  = process.env.JWT_SECRET || "";
+const PLAYBACK_SECRET = process.env.PLAYBACK_SECRET || "";
+const MAX_REEL_RANGES = Number(process.env.MAX_REEL_RANGES || 20);
+const MAX_REEL_SEC    = Number(process.env.MAX_REEL_SEC || 600);
+const REDIS_URL   = process.env.REDIS_URL || "";
+const CACHE_DIR   = process.env.CACHE_DIR || path.join(os.tmpdir(), "fision-clip-cache");
+const CACHE_MAX_BYTES   = Number(process.env.CACHE_MAX_MB || 2048) * 1024 * 1024;
+const CACHE_MAX_AGE_SEC = Number(process.env.CACHE_MAX_AGE_SEC || 7 * 24 * 3600);
+const S3_BUCKET   = process.env.S3_BUCKET || "";
+const S3_PREFIX   = process.env.S3_PREFIX ?? "clips/";
+const VIDEOS_BUCKET = process.env.VIDEOS_BUCKET || "";
+const VIDEOS_PREFIX = process.env.VIDEOS_PREFIX ?? "videos/";
+const ABR_PLAYLIST  = process.env.ABR_PLAYLIST || "master.m3u8";
+const ABR_HEIGHTS   = (process.env.ABR_HEIGHTS || "1080,720,480").split(",").map(Number);
+const JOB_TTL_SEC = Number(process.env.JOB_TTL_SEC || 24 * 3600);
+const STALE_JOB_MS = 2 * 60 * 1000; // processing job with no update for this long → requeued
+const MAX_FFMPEG       = Number(process.env.MAX_FFMPEG || 2);
+const MAX_RENDER_QUEUE = Number(process.env.MAX_RENDER_QUEUE || 20);
+const RATE_IP_PER_MIN   = Number(process.env.RATE_IP_PER_MIN || 12);
+const RATE_CODE_PER_MIN = Number(process.env.RATE_CODE_PER_MIN || 40);
+const MAX_ANIM_SEC      = Number(process.env.MAX_ANIM_SEC || 15);
+const THUMB_EVERY_SEC   = Number(process.env.THUMB_EVERY_SEC || 10);
+const PUBLIC_SITE_URL = (process.env.PUBLIC_SITE_URL || "").replace(/\/+$/, "");
+const FONT_FILE   = process.env.FONT_FILE || "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf";
+const VENUE_TZ    = process.env.VENUE_TZ || "Asia/Jerusalem";
+const STAFF_ROLES = new Set(["staff", "admin"]);
 
 /* -------------------------- Progress tracking store ------------------------- */
-const jobs = new Map();      // jobId -> job state
+/* Jobs are cached in memory on the instance that runs them and written through
+   to Redis when REDIS_URL is set, so /progress and /progress-stream work from
+   any instance and across restarts. SSE updates fan out over Redis pub/sub. */
+const jobs = new Map();      // jobId -> job state (local cache)
 const sseClients = new Map();// jobId -> Set(res)
+const evictTimers = new Map();// jobId -> timeout dropping a finished job from the cache
 
-/* -------------------------- Comments store (in-memory) ---------------------- */
-const comments = new Map();  // code -> [{id,time,text,createdAt}]
-function getComments(code) {
-  const list = comments.get(code) || [];
-  // ensure numeric time and sort by time asc
-  return list.slice().sort((a,b) => (a.time||0) - (b.time||0));
+const FINAL_JOB_STATES = new Set(["done", "error", "canceled"]);
+const JOB_EVENTS     = "clipjobs:events";
+const QUEUE_KEY      = "clipjobs:queue";
+const PROCESSING_KEY = "clipjobs:processing";
+const jobKey = (jobId) => `clipjob:${jobId}`;
+
+const redis       = REDIS_URL ? new Redis(REDIS_URL) : null;
+const redisSub    = redis ? redis.duplicate() : null; // subscriber connection
+const redisQueue  = redis ? redis.duplicate() : null; // blocking queue pops
+for (const conn of [redis, redisSub, redisQueue]) {
+  conn?.on("error", (e) => console.warn("Redis error:", e.message));
+}
+if (redisSub) {
+  redisSub.subscribe(JOB_EVENTS).catch(e => console.warn("Redis subscribe failed:", e.message));
+  redisSub.on("message", (_channel, data) => {
+    try { writeSSE(JSON.parse(data).id, data); } catch {}
+  });
+}
+
+/* -------------------------- Comments store (MongoDB) ----------------------- */
+let Comments = null;         // collection: {code,time,text,type?,side?,player?,authorPhone,createdAt,updatedAt}
+let Templates = null;        // overlay_templates: {venue,logoUrl,logoCorner,title,titleSec,showDate,scoreCorner}
+let Recordings = null;       // read-only: recording server's games (videoCode → cameraId, startedAt)
+let Cameras = null;          // read-only: camera labels (pitch = venue)
+let Packages = null;         // abr_packages: {code,status,renditions,jobId,error,updatedAt}
+let Highlights = null;       // highlights: {code,highlights,duration,createdAt}
+
+(async () => {
+  if (!MONGO_URI) throw new Error("MONGO_URI is not set");
+  const client = new MongoClient(MONGO_URI);
+  await client.connect();
+  const db = client.db();
+  Comments = db.collection("comments");
+  Templates = db.collection("overlay_templates");
+  Recordings = db.collection("recordings");
+  Cameras = db.collection("cameras");
+  Packages = db.collection("abr_packages");
+  Highlights = db.collection("highlights");
+  await Comments.createIndex({ code: 1, time: 1 });
+  await Comments.createIndex({ code: 1, type: 1 }, { sparse: true });
+  await Packages.createIndex({ code: 1 }, { unique: true });
+  await Highlights.createIndex({ code: 1 }, { unique: true });
+  console.log("Mongo initialized (comments)");
+})().catch(err => {
+  console.warn("Mongo init failed; comments disabled:", err.message);
+});
+
+/* Auth: phone-OTP JWT issued by the recording server's /auth/verify-otp */
+function authFromReq(req) {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token || !JWT_SECRET) return null;
+  try {
+    const claims = jwt.verify(token, JWT_SECRET);
+    return claims?.phone ? claims : null;
+  } catch {
+    return null;
+  }
+}
+/* Playback: short-lived token from the recording server's /playback/token,
+   sent as ?pt=... or X-Playback-Token and bound to a single game code. */
+function hasPlayback(req, code) {
+  return playbackTokenOk(req.query.pt || req.headers["x-playback-token"], code);
+}
+function playbackTokenOk(pt, code) {
+  const claims = playbackClaims(pt);
+  // Tokens name a game by its canonical id only (never r2:<code> or a
+  // playlist URL), so a link to the same game is checked as that game
+  return !!claims && claims.code === sourceId(claims.code) && claims.code === sourceId(code);
+}
+function playbackClaims(pt) {
+  pt = String(pt || "");
+  if (!pt || !PLAYBACK_SECRET) return null;
+  try {
+    const claims = jwt.verify(pt, PLAYBACK_SECRET, { audience: "playback" });
+    return claims?.scope === "playback" ? claims : null;
+  } catch {
+    return null;
+  }
+}
+function maskPhone(phone) {
+  return phone ? `•••${String(phone).slice(-3)}` : "Anonymous";
+}
+function canModify(user, doc) {
+  if (!user) return false;
+  return STAFF_ROLES.has(user.role) || (!!doc.authorPhone && doc.authorPhone === user.phone);
+}
+
+/* Match events are comments with a type: which team (side) and who (player)
+   are optional. A plain comment has no type. */
+const EVENT_TYPES = ["goal", "shot", "save", "foul", "card"];
+const EVENT_SIDES = ["home", "away"];
+
+/* { type, side, player } from a request body; undefined fields were not sent.
+   Returns { error } on bad input. null clears a field on PATCH. */
+function eventFields(body = {}) {
+  const out = {};
+  if (body.type !== undefined) {
+    const type = body.type === null || body.type === "" ? null : String(body.type);
+    if (type !== null && !EVENT_TYPES.includes(type)) return { error: `type must be one of ${EVENT_TYPES.join(", ")}` };
+    out.type = type;
+  }
+  if (body.side !== undefined) {
+    const side = body.side === null || body.side === "" ? null : String(body.side);
+    if (side !== null && !EVENT_SIDES.includes(side)) return { error: "side must be home or away" };
+    out.side = side;
+  }
+  if (body.player !== undefined) {
+    const player = String(body.player ?? "").trim();
+    if (player.length > 40) return { error: "player name too long (<=40 chars)" };
+    out.player = player || null;
+  }
+  return { fields: out };
+}
+
+/* Per-game tallies from the typed comments: counts per type and side (the
+   score is the goal row), and per-player counts, busiest first */
+function eventStats(docs) {
+  const byType = Object.fromEntries(EVENT_TYPES.map(t => [t, { home: 0, away: 0, total: 0 }]));
+  const players = new Map(); // "side|name" → { player, side, counts }
+  for (const d of docs) {
+    if (!byType[d.type]) continue;
+    byType[d.type].total++;
+    if (d.side) byType[d.type][d.side]++;
+    if (d.player) {
+      const key = `${d.side || ""}|${d.player.toLowerCase()}`;
+      const p = players.get(key) || { player: d.player, side: d.side || null, counts: {} };
+      p.counts[d.type] = (p.counts[d.type] || 0) + 1;
+      players.set(key, p);
+    }
+  }
+  const total = (p) => Object.values(p.counts).reduce((a, b) => a + b, 0);
+  return {
+    events: Object.values(byType).reduce((n, t) => n + t.total, 0),
+    score: { home: byType.goal.home, away: byType.goal.away },
+    byType,
+    players: [...players.values()].sort((a, b) => (b.counts.goal || 0) - (a.counts.goal || 0) || total(b) - total(a)),
+  };
+}
+
+function toComment(doc, user = null) {
+  return {
+    id: String(doc._id),
+    time: doc.time,
+    text: doc.text,
+    type: doc.type || null,
+    side: doc.side || null,
+    player: doc.player || null,
+    author: maskPhone(doc.authorPhone),
+    mine: !!user && doc.authorPhone === user.phone,
+    canEdit: canModify(user, doc),
+    createdAt: doc.createdAt?.getTime?.() ?? doc.createdAt,
+    updatedAt: doc.updatedAt?.getTime?.() ?? doc.updatedAt ?? null,
+  };
+}
+async function getComments(code, user = null) {
+  const docs = await Comments.find({ code }).sort({ time: 1, createdAt: 1 }).toArray();
+  return { comments: docs.map(d => toComment(d, user)), stats: eventStats(docs) };
+}
+function parseCommentId(raw) {
+  return ObjectId.isValid(String(raw || "")) ? new ObjectId(String(raw)) : null;
 }
 
 /* utils */
@@ -43,7 +271,7 @@ function makeJobId() {
 function initJob(jobId, seed) {
   const job = {
     id: jobId,
-    status: "starting",           // starting | running | ready | done | error | canceled
+    status: "starting",           // queued | starting | running | ready | done | error | canceled
     error: "",
     requested: { start: 0, end: 0 },
     snapped: { start: 0, end: 0, duration: 0 },
@@ -52,9 +280,7 @@ function initJob(jobId, seed) {
     updatedAt: Date.now(),
     ...seed,
   };
-  jobs.set(jobId, job);
-  pushSSE(jobId);
-  return job;
+  return saveJob(job);
 }
 function patchJob(jobId, patch) {
   const cur = jobs.get(jobId) || {};
@@ -63,19 +289,43 @@ function patchJob(jobId, patch) {
   if (patch?.snapped)   job.snapped   = { ...cur.snapped,   ...patch.snapped   };
   if (patch?.progress)  job.progress  = { ...cur.progress,  ...patch.progress  };
   if (patch?.transfer)  job.transfer  = { ...cur.transfer,  ...patch.transfer  };
-  jobs.set(jobId, job);
-  pushSSE(jobId);
-  return job;
+  return saveJob(job);
 }
 function endJob(jobId, status, error = "") {
-  const job = patchJob(jobId, { status, error, progress: { ...(jobs.get(jobId)?.progress||{}), pct: status === "done" ? 100 : jobs.get(jobId)?.progress?.pct || 0 } });
-  pushSSE(jobId);
+  return patchJob(jobId, { status, error, progress: { ...(jobs.get(jobId)?.progress||{}), pct: status === "done" ? 100 : jobs.get(jobId)?.progress?.pct || 0 } });
+}
+function saveJob(job) {
+  jobs.set(job.id, job);
+  const data = JSON.stringify(job);
+  if (redis) {
+    // Same connection, so the stored state is never older than the event.
+    redis.set(jobKey(job.id), data, "EX", JOB_TTL_SEC).catch(e => console.warn("job save failed:", e.message));
+    redis.publish(JOB_EVENTS, data).catch(() => {});
+  } else {
+    writeSSE(job.id, data);
+  }
+  if (FINAL_JOB_STATES.has(job.status)) scheduleEviction(job.id);
   return job;
 }
-function pushSSE(jobId) {
+/* Redis is the source of truth when configured; the cache covers the rest */
+async function getJob(jobId) {
+  if (redis) {
+    const raw = await redis.get(jobKey(jobId)).catch(() => null);
+    if (raw) return JSON.parse(raw);
+  }
+  return jobs.get(jobId) || null;
+}
+function scheduleEviction(jobId) {
+  clearTimeout(evictTimers.get(jobId));
+  const keepMs = redis ? 60_000 : JOB_TTL_SEC * 1000;
+  evictTimers.set(jobId, setTimeout(() => {
+    jobs.delete(jobId);
+    evictTimers.delete(jobId);
+  }, keepMs).unref());
+}
+function writeSSE(jobId, data) {
   const clients = sseClients.get(jobId);
   if (!clients || clients.size === 0) return;
-  const data = JSON.stringify(jobs.get(jobId) || { id: jobId, status: "unknown" });
   for (const res of clients) {
     try { res.write(`data: ${data}\n\n`); } catch {}
   }
@@ -90,12 +340,46 @@ app.get("/probe", async (req, res) => {
   try {
     const code = String(req.query.code || "").trim();
     if (!code) return res.status(400).json({ error: "code is required" });
-    const url = `${BASE}/videos/${encodeURIComponent(code)}/${PLAYLIST}`;
-    const r = await fetch(url, { headers: { "user-agent": UA, ...(REFERER ? { referer: REFERER } : {}) } });
+    if (!hasPlayback(req, code)) return res.status(403).json({ error: "playback token required" });
+    const source = resolveSource(code);
+    const r = await fetchPlaylist(source.url);
     const text = await r.text();
-    res.json({ url, status: r.status, ok: r.ok, contentType: r.headers.get("content-type"), sample: text.slice(0, 300) });
+    res.json({
+      kind: source.kind, status: r.status, ok: r.ok, contentType: r.headers.get("content-type"),
+      master: isMasterPlaylist(text), sample: text.slice(0, 300),
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || String(e) });
+  }
+});
+
+/* What the player loads for whatever was typed or linked: code, Stream UID or
+   .m3u8 URL; a packaged game gets its multi-rendition master. Nothing is
+   fetched here. Without a playback token it only names the game
+   ({ kind, id, label }), so the player knows which id to ask the recording
+   server's /playback/token for; with a token for that id it adds m3u8Url.
+   signPrefix: playlist/segment URLs under it need ?pt=<token>; m3u8Url
+   already carries the request's. */
+app.get("/resolve", async (req, res) => {
+  const src = String(req.query.src || "").trim();
+  if (!src) return res.status(400).json({ error: "src is required" });
+  try {
+    const source = resolveSource(src);
+    const { kind, id, url, label, signPrefix } = source;
+    const pt = String(req.query.pt || req.headers["x-playback-token"] || "");
+    if (!pt) return res.json({ kind, id, label });
+    if (!hasPlayback(req, id)) return res.status(403).json({ error: "playback token required" });
+
+    const abrUrl = await abrPlaylistUrl(source);
+    let m3u8Url = abrUrl || url;
+    if (signPrefix && m3u8Url.startsWith(signPrefix)) {
+      const u = new URL(m3u8Url);
+      u.searchParams.set("pt", pt);
+      m3u8Url = u.toString();
+    }
+    res.json({ kind, id, m3u8Url, abr: !!abrUrl, label, signPrefix });
   } catch (e) {
-    res.status(500).json({ error: e.message || String(e) });
+    res.status(e.status || 500).json({ error: e.message || String(e) });
   }
 });
 
@@ -118,12 +402,12 @@ function floorBoundary(b, t) { let lo = 0, hi = b.length - 1; while (lo < hi) {
 function ceilBoundary(b, t)  { let lo = 0, hi = b.length - 1; while (lo < hi) { const mid = Math.floor((lo + hi) / 2); if (b[mid] >= t) hi = mid; else lo = mid + 1; } return b[lo]; }
 
 /* ----------------------------- Progress APIs -------------------------------- */
-app.get("/progress/:jobId", (req, res) => {
-  const job = jobs.get(req.params.jobId);
+app.get("/progress/:jobId", async (req, res) => {
+  const job = await getJob(req.params.jobId);
   if (!job) return res.status(404).json({ error: "job not found" });
-  res.json(job);
+  res.json(await withJobQueuePosition(job));
 });
-app.get("/progress-stream/:jobId", (req, res) => {
+app.get("/progress-stream/:jobId", async (req, res) => {
   const { jobId } = req.params;
   res.set({
     "Content-Type": "text/event-stream",
@@ -136,43 +420,1265 @@ app.get("/progress-stream/:jobId", (req, res) => {
   if (!sseClients.has(jobId)) sseClients.set(jobId, new Set());
   sseClients.get(jobId).add(res);
 
-  res.write(`data: ${JSON.stringify(jobs.get(jobId) || { id: jobId, status: "unknown" })}\n\n`);
-
   req.on("close", () => {
     const set = sseClients.get(jobId);
     if (set) set.delete(res);
+    if (set && set.size === 0) sseClients.delete(jobId);
   });
+
+  const job = await getJob(jobId);
+  res.write(`data: ${JSON.stringify(job || { id: jobId, status: "unknown" })}\n\n`);
 });
 
 /* ----------------------------- Comments APIs -------------------------------- */
-// GET /comments?code=abc   -> { comments: [{id,time,text,createdAt}] }
-app.get("/comments", (req, res) => {
-  const code = String(req.query.code || "").trim();
-  if (!code) return res.status(400).json({ error: "code is required" });
-  return res.json({ comments: getComments(code) });
+// GET /comments?code=abc[&type=goal,save]
+//   -> { comments: [{id,time,text,type,side,player,author,mine,canEdit,createdAt,updatedAt}], stats }
+//   type filters the list ("comment" = untyped); stats always cover the whole game.
+app.get("/comments", async (req, res) => {
+  try {
+    const code = String(req.query.code || "").trim();
+    if (!code) return res.status(400).json({ error: "code is required" });
+    if (!hasPlayback(req, code)) return res.status(403).json({ error: "playback token required" });
+    if (!Comments) return res.status(503).json({ error: "Comments unavailable" });
+
+    const types = String(req.query.type || "").split(",").filter(Boolean);
+    if (types.some(t => t !== "comment" && !EVENT_TYPES.includes(t))) return res.status(400).json({ error: "unknown type" });
+    const { comments, stats } = await getComments(code, authFromReq(req));
+    const shown = types.length ? comments.filter(c => types.includes(c.type || "comment")) : comments;
+    return res.json({ comments: shown, stats });
+  } catch (e) {
+    console.error("comments list", e);
+    res.status(500).json({ error: "Failed to load comments" });
+  }
+});
+
+// POST /comments  { code, time, text, type?, side?, player? }   (Authorization: Bearer <otp jwt>)
+// An event (type set) may leave text empty.
+app.post("/comments", async (req, res) => {
+  try {
+    const user = authFromReq(req);
+    if (!user) return res.status(401).json({ error: "Sign in to comment" });
+
+    const code = String(req.body?.code || "").trim();
+    const time = Number(req.body?.time);
+    const text = String(req.body?.text || "").trim();
+    if (!code) return res.status(400).json({ error: "code is required" });
+    if (!hasPlayback(req, code)) return res.status(403).json({ error: "playback token required" });
+    if (!Number.isFinite(time) || time < 0) return res.status(400).json({ error: "invalid time" });
+    const { fields, error } = eventFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if ((!text && !fields.type) || text.length > 500) return res.status(400).json({ error: "text required (<=500 chars)" });
+    if (!Comments) return res.status(503).json({ error: "Comments unavailable" });
+
+    const event = Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== null));
+    const doc = { _id: new ObjectId(), code, time: Math.floor(time), text, ...event, authorPhone: user.phone, createdAt: new Date() };
+    await Comments.insertOne(doc);
+    return res.json({ ok: true, comment: toComment(doc, user) });
+  } catch (e) {
+    console.error("comments add", e);
+    res.status(500).json({ error: "Failed to save comment" });
+  }
 });
 
-// POST /comments  { code, time, text }
-app.post("/comments", (req, res) => {
-  const code = String(req.body?.code || "").trim();
-  const time = Number(req.body?.time);
-  const text = String(req.body?.text || "").trim();
-  if (!code) return res.status(400).json({ error: "code is required" });
-  if (!Number.isFinite(time) || time < 0) return res.status(400).json({ error: "invalid time" });
-  if (!text || text.length > 500) return res.status(400).json({ error: "text required (<=500 chars)" });
-
-  const item = { id: crypto.randomUUID?.() || (Date.now()+"_"+Math.random().toString(16).slice(2)), time: Math.floor(time), text, createdAt: Date.now() };
-  const list = comments.get(code) || [];
-  list.push(item);
-  comments.set(code, list);
-  return res.json({ ok: true, comment: item });
+// PATCH /comments/:id  { text?, time?, type?, side?, player? }   author or staff only (null clears)
+app.patch("/comments/:id", async (req, res) => {
+  try {
+    const user = authFromReq(req);
+    if (!user) return res.status(401).json({ error: "Sign in to edit comments" });
+    const _id = parseCommentId(req.params.id);
+    if (!_id) return res.status(404).json({ error: "comment not found" });
+    if (!Comments) return res.status(503).json({ error: "Comments unavailable" });
+
+    const $set = {}, $unset = {};
+    if (req.body?.text !== undefined) {
+      const text = String(req.body.text || "").trim();
+      if (text.length > 500) return res.status(400).json({ error: "text required (<=500 chars)" });
+      $set.text = text;
+    }
+    const { fields, error } = eventFields(req.body);
+    if (error) return res.status(400).json({ error });
+    for (const [k, v] of Object.entries(fields)) {
+      if (v === null) $unset[k] = ""; else $set[k] = v;
+    }
+    if (req.body?.time !== undefined) {
+      const time = Number(req.body.time);
+      if (!Number.isFinite(time) || time < 0) return res.status(400).json({ error: "invalid time" });
+      $set.time = Math.floor(time);
+    }
+    if (!Object.keys($set).length && !Object.keys($unset).length) return res.status(400).json({ error: "nothing to update" });
+
+    const doc = await Comments.findOne({ _id });
+    if (!doc) return res.status(404).json({ error: "comment not found" });
+    if (!canModify(user, doc)) return res.status(403).json({ error: "You can only edit your own comments" });
+    // a plain comment still needs its text once the edit applies
+    const type = "type" in fields ? fields.type : doc.type;
+    const text = "text" in $set ? $set.text : doc.text;
+    if (!type && !text) return res.status(400).json({ error: "text required (<=500 chars)" });
+
+    $set.updatedAt = new Date();
+    const updated = await Comments.findOneAndUpdate(
+      { _id },
+      { $set, ...(Object.keys($unset).length ? { $unset } : {}) },
+      { returnDocument: "after" },
+    );
+    if (!updated) return res.status(404).json({ error: "comment not found" });
+    return res.json({ ok: true, comment: toComment(updated, user) });
+  } catch (e) {
+    console.error("comments edit", e);
+    res.status(500).json({ error: "Failed to update comment" });
+  }
 });
 
-/* -------------------------------- /clip ------------------------------------- */
-app.get("/clip", async (req, res) => {
+// DELETE /comments/:id   author or staff only
+app.delete("/comments/:id", async (req, res) => {
+  try {
+    const user = authFromReq(req);
+    if (!user) return res.status(401).json({ error: "Sign in to delete comments" });
+    const _id = parseCommentId(req.params.id);
+    if (!_id) return res.status(404).json({ error: "comment not found" });
+    if (!Comments) return res.status(503).json({ error: "Comments unavailable" });
+
+    const doc = await Comments.findOne({ _id });
+    if (!doc) return res.status(404).json({ error: "comment not found" });
+    if (!canModify(user, doc)) return res.status(403).json({ error: "You can only delete your own comments" });
+
+    await Comments.deleteOne({ _id });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("comments delete", e);
+    res.status(500).json({ error: "Failed to delete comment" });
+  }
+});
+
+/* ------------------------------ ffmpeg pool --------------------------------- */
+/* At most MAX_FFMPEG renders run at once. The rest wait in line and see their
+   place in the job status ({ status: "queued", queue: { position, length } });
+   a waiting request leaves the line when its client goes away, and new
+   requests are turned away with 503 once MAX_RENDER_QUEUE are waiting. */
+let activeRenders = 0;
+const renderQueue = []; // [{ jobId, grant, detach }]
+
+function publishQueuePositions() {
+  renderQueue.forEach((w, i) => {
+    patchJob(w.jobId, { status: "queued", queue: { position: i + 1, length: renderQueue.length } });
+  });
+}
+function renderSlotRelease() {
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    activeRenders--;
+    const next = renderQueue.shift();
+    if (next) {
+      next.detach();
+      next.grant();
+      publishQueuePositions();
+    }
+  };
+}
+
+/* Resolves with a release function once a slot is free. Pass the response for
+   client-facing requests so a disconnect drops the job from the line. */
+function acquireRenderSlot(jobId, res = null) {
+  if (activeRenders < MAX_FFMPEG && !renderQueue.length) {
+    activeRenders++;
+    return Promise.resolve(renderSlotRelease());
+  }
+  if (res && renderQueue.length >= MAX_RENDER_QUEUE) {
+    return Promise.reject(Object.assign(new Error("The clipper is busy, try again shortly"), { status: 503, retryAfter: 30 }));
+  }
+  return new Promise((resolve, reject) => {
+    const onClose = () => {
+      const i = renderQueue.indexOf(waiter);
+      if (i < 0) return;
+      renderQueue.splice(i, 1);
+      patchJob(jobId, { queue: null });
+      endJob(jobId, "canceled");
+      publishQueuePositions();
+      reject(Object.assign(new Error("Client left while queued"), { canceled: true }));
+    };
+    const waiter = {
+      jobId,
+      grant: () => {
+        activeRenders++;
+        patchJob(jobId, { status: "running", queue: null });
+        resolve(renderSlotRelease());
+      },
+      detach: () => res?.off("close", onClose),
+    };
+    res?.on("close", onClose);
+    renderQueue.push(waiter);
+    publishQueuePositions();
+  });
+}
+
+/* Answers a failed acquireRenderSlot; returns false if the client is gone */
+function replyNoSlot(res, jobId, e, { json = false } = {}) {
+  if (e.canceled) return false;
+  endJob(jobId, "error", e.message);
+  res.setHeader("Retry-After", String(e.retryAfter || 30));
+  if (json) res.status(e.status || 503).json({ error: e.message });
+  else res.status(e.status || 503).type("text").end(e.message);
+  return true;
+}
+
+/* ----------------------------- Rate limiting -------------------------------- */
+/* One-minute windows per client IP and per game code on the endpoints that
+   start renders, shared through Redis when configured. Over the limit the
+   request gets 429 with Retry-After. Counting fails open if Redis is down. */
+
+/* The client a request counts against: the address the recording server
+   signed into the playback token (on Vercel it sees the real one), else the
+   peer Render saw. Forwarded headers never decide it. */
+function rateClient(req, ranges) {
+  const pt = req.query.pt || req.headers["x-playback-token"] || ranges.find(r => r?.pt)?.pt;
+  return playbackClaims(pt)?.ip || req.ip;
+}
+const localHits = new Map(); // key -> { count, resetAt }
+
+async function rateHit(key, limit) {
+  if (redis) {
+    // the window's TTL is set with the key in one transaction, so a crash
+    // between calls can never leave a counter that does not expire
+    const [, [, count], [, ttl]] = await redis.multi()
+      .set(key, 0, "EX", 60, "NX")
+      .incr(key)
+      .ttl(key)
+      .exec();
+    return { ok: count <= limit, retryAfter: ttl > 0 ? ttl : 60 };
+  }
+  const now = Date.now();
+  let entry = localHits.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + 60_000 };
+    localHits.set(key, entry);
+  }
+  entry.count++;
+  return { ok: entry.count <= limit, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+}
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of localHits) if (entry.resetAt <= now) localHits.delete(key);
+}, 60_000).unref();
+
+function clipRateLimit(req, res, next) {
+  const body = req.body || {};
+  const ranges = Array.isArray(body.ranges) ? body.ranges : [req.method === "GET" ? req.query : body];
+  const codes = [...new Set(ranges.map(r => String(r?.code || "").trim()).filter(Boolean))];
+  const checks = [
+    [`ratelimit:ip:${rateClient(req, ranges)}`, RATE_IP_PER_MIN, "Too many clip requests"],
+    ...codes.map(code => [`ratelimit:code:${code}`, RATE_CODE_PER_MIN, `Too many clip requests for game ${code}`]),
+  ];
+
+  (async () => {
+    for (const [key, limit, message] of checks) {
+      const r = await rateHit(key, limit);
+      if (r.ok) continue;
+      res.setHeader("Retry-After", String(r.retryAfter));
+      const msg = `${message}, try again in ${r.retryAfter}s`;
+      if (req.path.startsWith("/clips")) return res.status(429).json({ error: msg, retryAfter: r.retryAfter });
+      return res.status(429).type("text").end(msg);
+    }
+    next();
+  })().catch((e) => {
+    console.warn("rate limit check failed:", e.message);
+    next();
+  });
+}
+
+/* ------------------------------ Clip cache ---------------------------------- */
+/* Finished clips are content-addressed by game code, cut points and render
+   options, so a popular moment is cut once and then served from CACHE_DIR (or
+   the optional S3-compatible bucket) with Range and ETag support. Disk entries
+   are evicted least-recently-used once CACHE_MAX_MB is exceeded and after
+   CACHE_MAX_AGE_SEC regardless; bucket expiry is left to its lifecycle rules. */
+const s3Client = (S3_BUCKET || VIDEOS_BUCKET) ? new S3Client({
+  region: process.env.S3_REGION || "auto",
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: !!process.env.S3_ENDPOINT,
+  ...(process.env.S3_ACCESS_KEY_ID ? {
+    credentials: {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "",
+    },
+  } : {}),
+}) : null;
+const s3 = S3_BUCKET ? s3Client : null;
+const videoStore = VIDEOS_BUCKET ? s3Client : null; // packaged renditions (see ABR packaging)
+
+/* segments: [{ code, start, end }] as actually cut (any alias of a game keys
+   alike); opts: render options */
+function clipCacheKey(segments, opts) {
+  const cuts = segments.map(s => `${sourceId(s.code)}:${(+s.start).toFixed(3)}-${(+s.end).toFixed(3)}`).join(",");
+  return crypto.createHash("sha256").update(`${cuts}|${JSON.stringify(opts)}`).digest("hex").slice(0, 40);
+}
+/* Cached files keep their output format as the extension */
+const CLIP_TYPES = { mp4: "video/mp4", gif: "image/gif", webp: "image/webp", jpg: "image/jpeg" };
+const cachePath = (key, ext = "mp4") => path.join(CACHE_DIR, `${key}.${ext}`);
+const s3Key = (key, ext = "mp4") => `${S3_PREFIX}${key}.${ext}`;
+
+/* Path of a cached clip, pulling it down from the bucket on a disk miss */
+async function cacheGet(key, ext = "mp4") {
+  const file = cachePath(key, ext);
+  const st = await fs.promises.stat(file).catch(() => null);
+  if (st) {
+    // atime marks last use for eviction; mtime stays put for Last-Modified.
+    fs.promises.utimes(file, new Date(), st.mtime).catch(() => {});
+    return file;
+  }
+  if (!s3) return null;
+
+  const tmp = `${file}.${crypto.randomUUID()}.part`;
+  try {
+    const obj = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: s3Key(key, ext) }));
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    await pipeline(obj.Body, fs.createWriteStream(tmp));
+    await fs.promises.rename(tmp, file);
+    evictCache().catch(() => {});
+    return file;
+  } catch (e) {
+    await fs.promises.unlink(tmp).catch(() => {});
+    if (e.name !== "NoSuchKey" && e.$metadata?.httpStatusCode !== 404) console.warn("cache S3 get failed:", e.message);
+    return null;
+  }
+}
+
+/* Moves a rendered file into the cache (and uploads it) and returns its path.
+   durable waits for the upload and throws if it fails; otherwise it runs on
+   in the background. */
+async function cachePut(key, src, ext = "mp4", { durable = false } = {}) {
+  await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+  const file = cachePath(key, ext);
+  const tmp = `${file}.${crypto.randomUUID()}.part`;
+  await fs.promises.rename(src, tmp).catch(() => fs.promises.copyFile(src, tmp));
+  await fs.promises.rename(tmp, file);
+
+  if (s3) {
+    const upload = cacheUpload(key, file, ext);
+    if (durable) await upload;
+    else upload.catch(e => console.warn("cache S3 put failed:", e.message));
+  }
+  evictCache().catch(() => {});
+  return file;
+}
+async function cacheUpload(key, file, ext = "mp4") {
+  const st = await fs.promises.stat(file);
+  return s3.send(new PutObjectCommand({
+    Bucket: S3_BUCKET,
+    Key: s3Key(key, ext),
+    Body: fs.createReadStream(file),
+    ContentLength: st.size,
+    ContentType: CLIP_TYPES[ext],
+  }));
+}
+/* Makes sure a cached clip is in the bucket too (a background upload may have failed) */
+async function cacheEnsureStored(key, file, ext = "mp4") {
+  const stored = await s3.send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: s3Key(key, ext) }))
+    .then(() => true, (e) => {
+      if (e.name === "NotFound" || e.$metadata?.httpStatusCode === 404) return false;
+      throw e;
+    });
+  if (!stored) await cacheUpload(key, file, ext);
+}
+
+let evicting = false;
+async function evictCache() {
+  if (evicting) return;
+  evicting = true;
+  try {
+    const names = (await fs.promises.readdir(CACHE_DIR).catch(() => [])).filter(n => CLIP_TYPES[path.extname(n).slice(1)]);
+    const entries = [];
+    for (const name of names) {
+      const file = path.join(CACHE_DIR, name);
+      const st = await fs.promises.stat(file).catch(() => null);
+      if (st) entries.push({ file, size: st.size, usedAt: st.atimeMs, createdAt: st.mtimeMs });
+    }
+    entries.sort((a, b) => b.usedAt - a.usedAt);
+
+    const oldest = Date.now() - CACHE_MAX_AGE_SEC * 1000;
+    let kept = 0;
+    for (const e of entries) {
+      if (e.createdAt < oldest || kept + e.size > CACHE_MAX_BYTES) {
+        await fs.promises.unlink(e.file).catch(() => {});
+      } else {
+        kept += e.size;
+      }
+    }
+
+    // Thumbnail sheets are small; they only go by age.
+    for (const name of await fs.promises.readdir(thumbsRoot()).catch(() => [])) {
+      const dir = path.join(thumbsRoot(), name);
+      const st = await fs.promises.stat(dir).catch(() => null);
+      if (st && st.mtimeMs < oldest) await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  } finally {
+    evicting = false;
+  }
+}
+
+/* Serves a cached clip. res.sendFile handles Range/If-Range/If-None-Match;
+   the cache key is a strong ETag since the file under a key never changes. */
+function sendCachedClip(res, file, { key, filename, format = "mp4", headers = {} }) {
+  return new Promise((resolve, reject) => {
+    res.sendFile(file, {
+      etag: false,
+      cacheControl: false,
+      headers: {
+        "Content-Type": CLIP_TYPES[format],
+        "Cache-Control": "private, max-age=86400",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "ETag": `"${key}"`,
+        ...headers,
+      },
+    }, (err) => (err && !res.headersSent ? reject(err) : resolve()));
+  });
+}
+
+/* ------------------------- ffmpeg helpers ----------------------------------- */
+/* Network/input options shared by every ffmpeg run that reads the HLS origin;
+   a url under BASE also gets the origin token (every segment request sends it) */
+function hlsNetArgs(url) {
+  const headerLines = [];
+  if (REFERER) headerLines.push(`Referer: ${REFERER}`);
+  const origin = originHeaders(url)["x-playback-token"];
+  if (origin) headerLines.push(`X-Playback-Token: ${origin}`);
+  const headersArg = headerLines.length ? ["-headers", headerLines.join("\r\n")] : [];
+  return [
+    "-protocol_whitelist","file,crypto,https,tcp,tls",
+    "-rw_timeout","15000000",
+    "-live_start_index","0", // a game still recording is an EVENT playlist: read it from the start
+    "-user_agent", UA,
+    "-allowed_extensions","ALL",
+    "-http_persistent","0",
+    "-reconnect","1",
+    "-reconnect_streamed","1",
+    "-reconnect_on_http_error","4xx,5xx",
+    "-reconnect_delay_max","5",
+    ...headersArg,
+  ];
+}
+
+/* Input args for a game's rendition from ss; t bounds how much is read. A
+   rendition with separate audio is two inputs: video 0 and audio 1. */
+function hlsInputArgs(input, ss, t) {
+  const one = (url) => [
+    ...hlsNetArgs(url),
+    "-ss", String(ss),
+    ...(t ? ["-t", String(t)] : []),
+    "-i", url,
+  ];
+  return input.audio ? [...one(input.video), ...one(input.audio)] : one(input.video);
+}
+const audioIn = (input) => (input.audio ? "1:a" : "0:a");
+const inputCount = (input) => (input.audio ? 2 : 1);
+
+/* Runs ffmpeg to completion; onProgress receives out_time_ms as it advances */
+function runFfmpeg(args, { onSpawn, onProgress } = {}) {
+  return new Promise((resolve) => {
+    const ff = spawn("ffmpeg", [
+      "-hide_banner","-loglevel","error","-nostdin","-y",
+      "-progress","pipe:2","-stats_period","0.5",
+      ...args,
+    ], { stdio: ["ignore","ignore","pipe"] });
+    onSpawn?.(ff);
+
+    let errLog = "";
+    let progBuf = "";
+    ff.stderr.on("data", (d) => {
+      const s = d.toString();
+      progBuf += s;
+      let idx;
+      while ((idx = progBuf.indexOf("\n")) >= 0) {
+        const line = progBuf.slice(0, idx).trim();
+        progBuf = progBuf.slice(idx + 1);
+        const kv = line.split("=");
+        if (kv.length === 2) {
+          if (kv[0] === "out_time_ms") onProgress?.(Number(kv[1]) || 0);
+        } else if (line) {
+          errLog += line + "\n";
+          console.error("[ffmpeg]", line);
+        }
+      }
+    });
+    ff.on("error", (e) => resolve({ code: null, signal: null, errLog: e.message || String(e) }));
+    ff.on("exit", (code, signal) => resolve({ code, signal, errLog }));
+  });
+}
+
+/* Re-encode settings for single-part exports (cropped, branded, effects);
+   parts joined to others use matchedEncoding instead */
+const ENCODE_ARGS = [
+  "-c:v","libx264","-preset","veryfast","-crf","18","-pix_fmt","yuv420p",
+  "-c:a","aac","-b:a","160k",
+];
+
+const resolveSource = createSourceResolver({
+  base: BASE,
+  playlist: PLAYLIST,
+  streamCustomer: CF_STREAM_CUSTOMER,
+  allowedHosts: SOURCE_ALLOWED_HOSTS,
+});
+/* Download names use the source's short label, not a raw URL */
+const sourceId = (code) => {
+  try { return resolveSource(code).id; } catch { return code; }
+};
+const fileTag = (code) => {
+  try { return resolveSource(code).label; } catch { return "clip"; }
+};
+
+/* The clipper's own token for the R2 video worker. Scope "origin" covers every
+   game, so it only ever goes to BASE and is never accepted as a playback token.
+   It outlives the longest render: ffmpeg sends the same header for a whole run. */
+let originTok = null;
+function originHeaders(url) {
+  if (!PLAYBACK_SECRET || !BASE || !String(url || "").startsWith(`${BASE}/`)) return {};
+  if (!originTok || originTok.renewAt < Date.now()) {
+    const token = jwt.sign({ scope: "origin" }, PLAYBACK_SECRET, { audience: "playback", expiresIn: "6h" });
+    originTok = { token, renewAt: Date.now() + 60 * 60 * 1000 };
+  }
+  return { "x-playback-token": originTok.token };
+}
+
+function fetchPlaylist(url) {
+  return fetch(url, { headers: { "user-agent": UA, ...(REFERER ? { referer: REFERER } : {}), ...originHeaders(url) } });
+}
+
+/* Resolves a game to its ffmpeg input and segment boundaries. A master
+   playlist is narrowed to its best rendition, so downloads always get the top
+   quality; original skips a packaged game's master for its recorded playlist.
+   Ranges of a live game clamp to what has been recorded so far.
+   Errors carry the HTTP status to answer with. */
+async function loadSource(code, { original = false } = {}) {
+  const source = resolveSource(code);
+  const playlistUrl = (!original && await abrPlaylistUrl(source)) || source.url;
+  const get = async (url) => {
+    const r = await fetchPlaylist(url).catch((e) => { throw Object.assign(e, { status: 502 }); });
+    if (!r.ok) throw Object.assign(new Error(`Failed to fetch playlist: HTTP ${r.status}`), { status: 502 });
+    return r.text();
+  };
+
+  let text = await get(playlistUrl);
+  let input = { video: playlistUrl, audio: null };
+  if (isMasterPlaylist(text)) {
+    const [best] = masterRenditions(text, playlistUrl);
+    if (!best) throw Object.assign(new Error("Master playlist has no renditions"), { status: 502 });
+    input = { video: best.video, audio: best.audio };
+    text = await get(best.video);
+  }
+  // No ENDLIST yet: the game is still being recorded and the playlist grows
+  const live = !/^#EXT-X-ENDLIST/m.test(text);
+  return { source, input, live, boundaries: parseBoundaries(text) };
+}
+function clampRange(boundaries, start, end) {
+  const total = boundaries[boundaries.length - 1] || 0;
+  return {
+    sReq: Math.max(0, Math.min(start, Math.max(0, total - 0.001))),
+    eReq: Math.max(0, Math.min(end, total)),
+  };
+}
+
+/* Cut plan for one range. Fast mode copies whole segments, so the range snaps
+   outwards to segment boundaries. Accurate mode ("smart render") re-encodes
+   the partial segments before the first and after the last boundary inside
+   the range and copies the whole segments between them. */
+function planRange(input, boundaries, sReq, eReq, accurate) {
+  if (!accurate) {
+    const sSnap = floorBoundary(boundaries, sReq);
+    let eSnap  = ceilBoundary(boundaries, eReq);
+    if (eSnap <= sSnap) {
+      const idx = boundaries.indexOf(sSnap);
+      eSnap = boundaries[Math.min(idx + 1, boundaries.length - 1)];
+    }
+    return { start: sSnap, end: eSnap, parts: [{ input, start: sSnap, end: eSnap, copy: true }] };
+  }
+
+  const k1 = ceilBoundary(boundaries, sReq);
+  const k2 = floorBoundary(boundaries, eReq);
+  const parts = [];
+  if (k1 < k2) {
+    if (k1 - sReq > 0.001) parts.push({ input, start: sReq, end: k1, copy: false });
+    parts.push({ input, start: k1, end: k2, copy: true });
+    if (eReq - k2 > 0.001) parts.push({ input, start: k2, end: eReq, copy: false });
+  } else {
+    parts.push({ input, start: sReq, end: eReq, copy: false });
+  }
+  return { start: sReq, end: eReq, parts };
+}
+
+/* Stream mapping and codecs for one part: stream copy, a simple -vf chain, or
+   a filter_complex (extra inputs such as a logo) whose video comes out as [v]
+   and whose audio, when it retimes it, comes out as part.audio */
+function partOutputArgs(part) {
+  const audio = `${audioIn(part.input)}?`;
+  const encode = part.encode?.args || ENCODE_ARGS;
+  if (part.copy) return ["-map","0:v?","-map", audio, "-c","copy"];
+  if (part.filterComplex) return ["-filter_complex", part.filterComplex, "-map","[v]","-map", part.audio || audio, ...encode];
+  const vf = [part.vf, part.encode?.vf].filter(Boolean).join(",");
+  return ["-map","0:v?","-map", audio, ...(vf ? ["-vf", vf] : []), ...encode];
+}
+
+/* Encoder settings that reproduce a probed rendition: same size, frame rate,
+   pixel format and H.264 profile, same audio rate and channels */
+function matchedEncoding({ v, a }) {
+  const profile = String(v.profile || "").toLowerCase().replace("constrained ", "").replace(/\s+/g, "");
+  const fps = /^\d+\/[1-9]\d*$/.test(v.r_frame_rate || "") ? `,fps=${v.r_frame_rate}` : "";
+  return {
+    vf: `scale=${v.width}:${v.height}:force_original_aspect_ratio=decrease,` +
+        `pad=${v.width}:${v.height}:(ow-iw)/2:(oh-ih)/2,setsar=1${fps}`,
+    args: [
+      "-c:v","libx264","-preset","veryfast","-crf","18","-pix_fmt", v.pix_fmt || "yuv420p",
+      ...(["baseline","main","high"].includes(profile) ? ["-profile:v", profile] : []),
+      "-c:a","aac","-b:a","160k",
+      ...(a?.sample_rate ? ["-ar", String(a.sample_rate)] : []),
+      ...(a?.channels ? ["-ac", String(a.channels)] : []),
+    ],
+  };
+}
+
+/* Parts joined by the concat demuxer must agree on codec, size, frame rate,
+   pixel format and audio layout (their timestamps are all 90 kHz mpegts).
+   Encoded parts take the copied parts' parameters. When copied parts disagree
+   (a reel across differently shot games) or are not H.264/AAC, every part is
+   encoded to the first one's instead. */
+async function matchParts(parts) {
+  if (parts.length < 2) return;
+  const probes = new Map(); // rendition -> streams | null
+  for (const p of parts) {
+    if (!probes.has(p.input.video)) probes.set(p.input.video, await probeStreams(p.input));
+  }
+  const streams = (p) => probes.get(p.input.video);
+  const signature = (st) => st && [
+    st.v.codec_name, st.v.profile, st.v.width, st.v.height, st.v.pix_fmt, st.v.r_frame_rate,
+    st.a?.codec_name, st.a?.sample_rate, st.a?.channels,
+  ].join("|");
+
+  const copied = parts.filter(p => p.copy);
+  const first = copied.length ? signature(streams(copied[0])) : null;
+  const copyable = !!first && copied.every(p => {
+    const st = streams(p);
+    return !!st && st.v.codec_name === "h264" && (!st.a || st.a.codec_name === "aac") && signature(st) === first;
+  });
+  if (!copyable) for (const p of parts) p.copy = false;
+
+  const target = streams(copyable ? copied[0] : parts[0]);
+  if (!target) return; // ffprobe could not tell: the plain encoder settings
+  const encode = matchedEncoding(target);
+  for (const p of parts) if (!p.copy) p.encode = encode;
+}
+
+/* Renders planned parts to .ts files in dir and joins them with the concat
+   demuxer into dir/out.mp4. Progress spans all parts; the concat step is
+   cheap and counts as the last few percent. Throws when ffmpeg fails and
+   resolves null if ctl.aborted was set meanwhile. */
+async function renderParts(jobId, parts, dir, ctl = {}) {
+  await matchParts(parts);
+  const totalMs = parts.reduce((ms, p) => ms + (p.outDur ?? p.end - p.start) * 1000, 0);
+  let doneMs = 0;
+  const report = (ms) => {
+    const pct = Math.max(0, Math.min(95, Math.round(((doneMs + ms) / totalMs) * 95)));
+    patchJob(jobId, { progress: { timeMs: doneMs + ms, pct } });
+  };
+
+  for (const [i, part] of parts.entries()) {
+    part.file = path.join(dir, `part${i}.ts`);
+    const partDur = +(part.end - part.start).toFixed(3);
+    // Retimed parts (effects) come out longer than the stretch they read
+    const r = await runFfmpeg([
+      ...hlsInputArgs(part.input, part.start, part.outDur ? partDur : undefined),
+      ...(part.inputs || []).flatMap(f => ["-i", f]),
+      "-t", String(part.outDur ?? partDur),
+      ...partOutputArgs(part),
+      "-f","mpegts", part.file,
+    ], { onSpawn: (ff) => { ctl.current = ff; }, onProgress: report });
+    if (ctl.aborted) return null;
+    if (r.code !== 0 || r.signal) throw new Error(r.errLog.trim() || `ffmpeg exited. code=${r.code} signal=${r.signal}`);
+    doneMs += (part.outDur ?? partDur) * 1000;
+  }
+
+  const list = path.join(dir, "parts.txt");
+  await fs.promises.writeFile(list, parts.map(p => `file '${p.file}'`).join("\n"));
+  const out = path.join(dir, "out.mp4");
+  const joined = await runFfmpeg([
+    "-f","concat","-safe","0","-i", list,
+    "-map","0:v?","-map","0:a?",
+    "-c","copy",
+    "-bsf:a","aac_adtstoasc",
+    "-movflags","+faststart",
+    "-f","mp4", out,
+  ], { onSpawn: (ff) => { ctl.current = ff; } });
+  if (ctl.aborted) return null;
+  if (joined.code !== 0 || joined.signal) throw new Error(joined.errLog.trim() || `ffmpeg concat exited. code=${joined.code} signal=${joined.signal}`);
+  patchJob(jobId, { progress: { timeMs: totalMs, pct: 100 } });
+  return out;
+}
+
+/* Serves the clip from the cache, or renders it into the cache first: the
+   parts by default, or whatever render(dir, ctl) produces for other formats */
+async function renderAndSend(req, res, { jobId, parts, render, format = "mp4", cacheKey, filename, headers = {} }) {
+  const cached = await cacheGet(cacheKey, format);
+  if (cached) {
+    patchJob(jobId, { status: "ready", cached: true, progress: { pct: 100 } });
+    await sendCachedClip(res, cached, { key: cacheKey, filename, format, headers: { ...headers, "X-Clip-Cache": "hit", "X-Job-Id": jobId } });
+    endJob(jobId, "done");
+    return;
+  }
+
+  let release;
+  try {
+    release = await acquireRenderSlot(jobId, res);
+  } catch (e) {
+    replyNoSlot(res, jobId, e);
+    return;
+  }
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "clip-"));
+  const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+
+  const ctl = { aborted: false, current: null };
+  req.on("aborted", () => {
+    ctl.aborted = true;
+    try { ctl.current?.kill("SIGKILL"); } catch {}
+    endJob(jobId, "canceled");
+  });
+
+  let file;
+  try {
+    const out = render ? await render(dir, ctl) : await renderParts(jobId, parts, dir, ctl);
+    // A canceled render is not cached: it may be incomplete.
+    if (!out) return;
+    file = await cachePut(cacheKey, out, format);
+  } catch (e) {
+    const msg = String(e.message || e).slice(0, 1800);
+    endJob(jobId, "error", msg);
+    if (!res.headersSent) res.status(500).type("text").end(msg);
+    return;
+  } finally {
+    release();
+    await cleanup();
+  }
+
+  const st = await fs.promises.stat(file);
+  patchJob(jobId, { status: "ready", transfer: { totalBytes: st.size } });
+  await sendCachedClip(res, file, { key: cacheKey, filename, format, headers: { ...headers, "X-Clip-Cache": "miss", "X-Job-Id": jobId } });
+  endJob(jobId, "done");
+}
+
+async function sendAccurateClip(req, res, { jobId, code, input, boundaries, sReq, eReq }) {
+  const plan = planRange(input, boundaries, sReq, eReq, true);
+  const dur = +(eReq - sReq).toFixed(3);
+  initJob(jobId, {
+    status: "running",
+    mode: "accurate",
+    requested: { start: +sReq.toFixed(3), end: +eReq.toFixed(3) },
+    snapped:   { start: +sReq.toFixed(3), end: +eReq.toFixed(3), duration: dur },
+    progress:  { timeMs: 0, pct: 0 },
+    transfer:  { bytes: 0, totalBytes: null }
+  });
+  await renderAndSend(req, res, {
+    jobId,
+    parts: plan.parts,
+    cacheKey: clipCacheKey([{ code, start: plan.start, end: plan.end }], { mode: "accurate" }),
+    filename: `clip_${fileTag(code)}_${Math.floor(sReq)}-${Math.floor(eReq)}.mp4`,
+    headers: {
+      "X-Clip-Mode": "accurate",
+      "X-Clip-Requested-Start": String(sReq.toFixed(3)),
+      "X-Clip-Requested-End":   String(eReq.toFixed(3)),
+      "X-Clip-Snapped-Start":   String(plan.start.toFixed(3)),
+      "X-Clip-Snapped-End":     String(plan.end.toFixed(3)),
+    },
+  });
+}
+
+/* ---------------------------- Social export --------------------------------- */
+/* aspect=9:16|1:1 re-encodes the range cropped to the view the user framed in
+   the player. crop=t:cx:cy:z,... lists keyframes: t seconds from the clip
+   start, cx/cy the view centre as a fraction of the frame, z the zoom (1 = full
+   frame height). The crop box is sized from the first keyframe's zoom and its
+   centre pans linearly between keyframes. */
+const SOCIAL_ASPECTS = {
+  "9:16": { ratio: 9 / 16, size: "1080:1920", suffix: "9x16" },
+  "1:1":  { ratio: 1,      size: "1080:1080", suffix: "1x1" },
+};
+const MAX_CROP_KEYS = 120;
+
+function parseCropKeys(raw) {
+  const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
+  const keys = String(raw || "").split(",").filter(Boolean).slice(0, MAX_CROP_KEYS)
+    .map(k => k.split(":").map(Number))
+    .filter(k => k.length === 4 && k.every(Number.isFinite))
+    .map(([t, cx, cy, z]) => ({ t: Math.max(0, t), cx: clamp(cx, 0, 1), cy: clamp(cy, 0, 1), z: clamp(z, 1, 5) }))
+    .sort((a, b) => a.t - b.t);
+  return keys.length ? keys : [{ t: 0, cx: 0.5, cy: 0.5, z: 1 }];
+}
+
+/* Piecewise-linear ffmpeg expression in t through the keyframes' values */
+function keyframeExpr(keys, pick) {
+  let expr = pick(keys[keys.length - 1]).toFixed(4);
+  for (let i = keys.length - 2; i >= 0; i--) {
+    const a = keys[i], b = keys[i + 1];
+    const span = Math.max(0.001, b.t - a.t).toFixed(3);
+    const slope = (pick(b) - pick(a)).toFixed(4);
+    expr = `if(lt(t,${b.t.toFixed(3)}),${pick(a).toFixed(4)}+(${slope})*(max(t,${a.t.toFixed(3)})-${a.t.toFixed(3)})/${span},${expr})`;
+  }
+  return expr;
+}
+
+function socialFilter(aspect, keys) {
+  const { ratio, size } = SOCIAL_ASPECTS[aspect];
+  const boxW = `min(iw,ih/${keys[0].z.toFixed(3)}*${ratio.toFixed(5)})`;
+  const cx = keyframeExpr(keys, k => k.cx);
+  const cy = keyframeExpr(keys, k => k.cy);
+  return [
+    `crop=w='trunc(${boxW}/2)*2':h='trunc(${boxW}/${ratio.toFixed(5)}/2)*2'` +
+      `:x='clip(${cx}*iw-ow/2,0,iw-ow)':y='clip(${cy}*ih-oh/2,0,ih-oh)'`,
+    `scale=${size}:flags=lanczos`,
+    "setsar=1",
+  ].join(",");
+}
+
+/* ------------------------------- Branding ----------------------------------- */
+/* brand=1 burns in a venue template: logo watermark, an optional score bug
+   (score=...), a title card over the first seconds (title=... or the
+   template's) and the date/time of the moment. Templates live in the shared
+   "overlay_templates" collection keyed by venue — the camera's "Pitch / venue"
+   label from the admin console — with "default" as the fallback; staff edit
+   them through the recording server's /admin/overlay-templates. */
+const BUILTIN_TEMPLATE = {
+  venue: "default",
+  logoUrl: "",              // "" → PUBLIC_SITE_URL/logo.png
+  logoCorner: "top-right",
+  title: "{venue}",         // {venue} and {date} are filled in
+  titleSec: 3,
+  showDate: true,
+  scoreCorner: "top-left",
+};
+const CORNERS = new Set(["top-left", "top-right", "bottom-left", "bottom-right"]);
+
+/* Template plus the facts it needs, for the game behind a video code */
+async function brandContext(code) {
+  let venue = "", startedAt = null, tpl = null;
+  if (Recordings) {
+    const rec = await Recordings.findOne({ videoCode: sourceId(code) }, { projection: { cameraId: 1, startedAt: 1, requestedAt: 1 } });
+    startedAt = rec?.startedAt || rec?.requestedAt || null;
+    const cam = rec?.cameraId ? await Cameras.findOne({ cameraId: rec.cameraId }, { projection: { pitch: 1 } }) : null;
+    venue = cam?.pitch || "";
+    tpl = (venue && await Templates.findOne({ venue })) || await Templates.findOne({ venue: "default" });
+  }
+  const { _id, ...stored } = tpl || {};
+  return { venue, startedAt, tpl: { ...BUILTIN_TEMPLATE, ...stored } };
+}
+
+function formatVenueTime(date) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: VENUE_TZ, day: "numeric", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit",
+  }).format(date);
+}
+
+/* Downloads a logo once into the cache directory; null if it can't be had */
+async function ensureLogo(url) {
+  if (!url) return null;
+  const file = path.join(CACHE_DIR, "logos", crypto.createHash("sha1").update(url).digest("hex"));
+  if (await fs.promises.stat(file).catch(() => null)) return file;
+  try {
+    const r = await fetch(url);
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, Buffer.from(await r.arrayBuffer()));
+    return file;
+  } catch (e) {
+    console.warn("logo download failed:", url, e.message);
+    return null;
+  }
+}
+
+function cornerXY(corner, w, h, W, H, margin) {
+  return {
+    x: corner.endsWith("left") ? margin : `${W}-${w}-${margin}`,
+    y: corner.startsWith("top") ? margin : `${H}-${h}-${margin}`,
+  };
+}
+
+/* Resolves what will be drawn: this is also what goes into the cache key */
+async function planBranding(code, sReq, { title, score }) {
+  const { venue, startedAt, tpl } = await brandContext(code);
+  const moment = startedAt ? formatVenueTime(new Date(new Date(startedAt).getTime() + sReq * 1000)) : "";
+  const titleText = (title || tpl.title || "").replace("{venue}", venue).replace("{date}", moment).trim();
+  return {
+    logoUrl: tpl.logoUrl || (PUBLIC_SITE_URL ? `${PUBLIC_SITE_URL}/logo.png` : ""),
+    logoCorner: CORNERS.has(tpl.logoCorner) ? tpl.logoCorner : BUILTIN_TEMPLATE.logoCorner,
+    title: titleText,
+    titleSec: Math.max(0, Math.min(10, Number(tpl.titleSec) || 0)),
+    date: tpl.showDate ? moment : "",
+    score: score || "",
+    scoreCorner: CORNERS.has(tpl.scoreCorner) ? tpl.scoreCorner : BUILTIN_TEMPLATE.scoreCorner,
+  };
+}
+
+/* filter_complex for [src] → baseChain → overlays → [v]. Text goes through
+   textfile= in dir so captions need no filtergraph escaping. */
+async function brandFilter(brand, baseChain, dir, src = "0:v", logoInput = 1) {
+  const inputs = [];
+  const steps = [`[${src}]${baseChain || "null"}[b0]`];
+  let last = "b0";
+  const next = (() => { let n = 0; return () => `b${++n}`; })();
+
+  const logo = await ensureLogo(brand.logoUrl);
+  if (logo) {
+    inputs.push(logo);
+    const { x, y } = cornerXY(brand.logoCorner, "w", "h", "W", "H", "H/30");
+    const scaled = next(), out = next();
+    steps.push(`[${logoInput}:v][${last}]scale2ref=w=oh*mdar:h=ih/9[lg][${scaled}]`);
+    steps.push(`[lg]format=rgba,colorchannelmixer=aa=0.85[lga]`);
+    steps.push(`[${scaled}][lga]overlay=x=${x}:y=${y}[${out}]`);
+    last = out;
+  }
+
+  const texts = [];
+  const textFile = async (name, text) => {
+    const file = path.join(dir, `${name}.txt`);
+    await fs.promises.writeFile(file, text);
+    return file;
+  };
+  const font = `fontfile=${FONT_FILE}:fontcolor=white`;
+  if (brand.score) {
+    const { x, y } = cornerXY(brand.scoreCorner, "text_w", "text_h", "w", "h", "h/30");
+    texts.push(`drawtext=${font}:textfile=${await textFile("score", brand.score)}:fontsize=h/20:x=${x}:y=${y}:box=1:boxcolor=black@0.6:boxborderw=12`);
+  }
+  if (brand.date) {
+    texts.push(`drawtext=${font}:textfile=${await textFile("date", brand.date)}:fontsize=h/32:x=h/30:y=h-text_h-h/30:box=1:boxcolor=black@0.45:boxborderw=8`);
+  }
+  if (brand.title && brand.titleSec > 0) {
+    const d = brand.titleSec;
+    texts.push(`drawbox=x=0:y=0:w=iw:h=ih:color=black@0.45:t=fill:enable='lt(t,${d})'`);
+    texts.push(`drawtext=${font}:textfile=${await textFile("title", brand.title)}:fontsize=h/12:x=(w-text_w)/2:y=(h-text_h)/2` +
+      `:enable='lt(t,${d})':alpha='if(lt(t,${d - 0.5}),1,max(0,(${d}-t)/0.5))'`);
+  }
+  steps.push(`[${last}]${texts.length ? texts.join(",") : "null"}[v]`);
+  return { inputs, filterComplex: steps.join(";") };
+}
+
+/* ------------------------------- Effects ------------------------------------ */
+/* fx=slow:START-END[:RATE],freeze:AT[:SEC],replay:LAST[:RATE] — times are video
+   seconds like start/end. Slow-mo plays a stretch at RATE, freeze holds one
+   frame for SEC seconds, and replay appends the clip's last LAST seconds again
+   at RATE. The clip is cut into pieces that are retimed and concatenated. */
+const MAX_EFFECTS = 8;
+const clampNum = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+function parseEffects(raw, sReq, eReq) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const items = String(raw || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (items.length > MAX_EFFECTS) throw bad(`Too many effects (max ${MAX_EFFECTS})`);
+
+  const effects = [];
+  for (const item of items) {
+    const [type, a, b] = item.split(":");
+    if (type === "slow") {
+      const [s, e] = String(a || "").split("-").map(Number);
+      const rate = b === undefined ? 0.5 : Number(b);
+      if (!Number.isFinite(s) || !Number.isFinite(e) || !Number.isFinite(rate)) throw bad(`Bad effect: ${item}`);
+      const from = Math.max(s, sReq) - sReq, to = Math.min(e, eReq) - sReq;
+      if (to - from < 0.2) throw bad(`Slow-mo outside the clip: ${item}`);
+      effects.push({ type, from: +from.toFixed(3), to: +to.toFixed(3), rate: clampNum(rate, 0.25, 1) });
+    } else if (type === "freeze") {
+      const at = Number(a), hold = b === undefined ? 2 : Number(b);
+      if (!Number.isFinite(at) || !Number.isFinite(hold)) throw bad(`Bad effect: ${item}`);
+      if (at < sReq || at >= eReq) throw bad(`Freeze outside the clip: ${item}`);
+      effects.push({ type, at: +(at - sReq).toFixed(3), hold: clampNum(hold, 0.5, 5) });
+    } else if (type === "replay") {
+      const last = Number(a), rate = b === undefined ? 0.5 : Number(b);
+      if (!Number.isFinite(last) || !Number.isFinite(rate)) throw bad(`Bad effect: ${item}`);
+      if (effects.some(x => x.type === "replay")) throw bad("Only one replay per clip");
+      effects.push({ type, last: clampNum(last, 1, Math.min(10, eReq - sReq)), rate: clampNum(rate, 0.25, 1) });
+    } else {
+      throw bad(`Unknown effect: ${type}`);
+    }
+  }
+
+  const inline = effects.filter(x => x.type !== "replay")
+    .sort((x, y) => (x.from ?? x.at) - (y.from ?? y.at));
+  for (let i = 1; i < inline.length; i++) {
+    const prev = inline[i - 1], cur = inline[i];
+    if ((cur.from ?? cur.at) < (prev.to ?? prev.at + 0.001)) throw bad("Effects overlap");
+  }
+  const replay = effects.find(x => x.type === "replay");
+  return replay ? [...inline, replay] : inline;
+}
+
+/* Pieces of the output timeline; each plays [from,to) of the clip at speed or holds a frame */
+function effectPieces(effects, dur) {
+  const pieces = [];
+  let cursor = 0;
+  const play = (from, to, speed = 1, extra = {}) => {
+    if (to - from >= 0.05) pieces.push({ from, to, speed, ...extra });
+  };
+  for (const fx of effects) {
+    if (fx.type === "slow") {
+      play(cursor, fx.from);
+      play(fx.from, fx.to, fx.rate);
+      cursor = fx.to;
+    } else if (fx.type === "freeze") {
+      play(cursor, fx.at);
+      pieces.push({ freeze: true, from: fx.at, hold: fx.hold });
+      cursor = fx.at;
+    }
+  }
+  play(cursor, dur);
+  const replay = effects.find(x => x.type === "replay");
+  if (replay) play(dur - replay.last, dur, replay.rate, { replay: true });
+  return pieces;
+}
+
+const effectsDuration = (pieces) =>
+  +pieces.reduce((s, p) => s + (p.freeze ? p.hold : (p.to - p.from) / p.speed), 0).toFixed(3);
+
+/* atempo only goes down to 0.5 per instance, so chain it for slower rates */
+function atempoChain(speed) {
+  const steps = [];
+  let s = speed;
+  while (s < 0.5) { steps.push("atempo=0.5"); s /= 0.5; }
+  if (s !== 1) steps.push(`atempo=${+s.toFixed(4)}`);
+  return steps.join(",");
+}
+
+/* filter_complex steps: [0:v] (through baseChain) and the audio → pieces → concat → [out] / [a] */
+function effectsGraph(pieces, { baseChain, withAudio, audio = "0:a", out = "v" }) {
+  const n = pieces.length;
+  const steps = [`[0:v]${baseChain ? baseChain + "," : ""}split=${n}${pieces.map((_, i) => `[fs${i}]`).join("")}`];
+  const plays = pieces.filter(p => !p.freeze).length;
+  if (withAudio) steps.push(`[${audio}]asplit=${plays}${Array.from({ length: plays }, (_, i) => `[fa${i}]`).join("")}`);
+
+  let ai = 0;
+  const labels = [];
+  pieces.forEach((p, i) => {
+    if (p.freeze) {
+      steps.push(`[fs${i}]trim=start=${p.from}:duration=0.1,setpts=PTS-STARTPTS,tpad=stop_mode=clone:stop_duration=${p.hold},trim=duration=${p.hold}[fv${i}]`);
+      if (withAudio) steps.push(`anullsrc=r=48000:cl=stereo,atrim=duration=${p.hold}[fq${i}]`);
+    } else {
+      const tag = p.replay
+        ? `,drawtext=fontfile=${FONT_FILE}:text=REPLAY:fontcolor=white:fontsize=h/14:x=w-text_w-h/30:y=h-text_h-h/30:box=1:boxcolor=red@0.8:boxborderw=10`
+        : "";
+      steps.push(`[fs${i}]trim=start=${p.from}:end=${p.to},setpts=(PTS-STARTPTS)/${p.speed}${tag}[fv${i}]`);
+      if (withAudio) {
+        const tempo = atempoChain(p.speed);
+        steps.push(`[fa${ai++}]atrim=start=${p.from}:end=${p.to},asetpts=PTS-STARTPTS${tempo ? "," + tempo : ""}[fq${i}]`);
+      }
+    }
+    labels.push(`[fv${i}]` + (withAudio ? `[fq${i}]` : ""));
+  });
+  steps.push(`${labels.join("")}concat=n=${n}:v=1:a=${withAudio ? 1 : 0}[${out}]${withAudio ? "[a]" : ""}`);
+  return steps.join(";");
+}
+
+/* First video and audio stream of a game's rendition ({ v, a }; a is null
+   without audio), or null when ffprobe cannot read it */
+const streamProbeCache = new Map();
+async function probeStreams(input) {
+  const key = `${input.video}|${input.audio || ""}`;
+  if (streamProbeCache.has(key)) return streamProbeCache.get(key);
+  const probe = (url, select) => new Promise((resolve) => {
+    const fp = spawn("ffprobe", [
+      "-v","error", ...hlsNetArgs(url),
+      "-select_streams", select,
+      "-show_entries","stream=codec_name,profile,width,height,pix_fmt,r_frame_rate,sample_rate,channels",
+      "-of","json",
+      url,
+    ], { stdio: ["ignore","pipe","ignore"] });
+    let out = "";
+    const timer = setTimeout(() => fp.kill("SIGKILL"), 20000);
+    fp.stdout.on("data", (d) => { out += d; });
+    fp.on("error", () => { clearTimeout(timer); resolve(null); });
+    fp.on("exit", (code) => {
+      clearTimeout(timer);
+      try { resolve(code === 0 ? JSON.parse(out).streams?.[0] || null : null); } catch { resolve(null); }
+    });
+  });
+  const [v, a] = await Promise.all([probe(input.video, "v:0"), probe(input.audio || input.video, "a:0")]);
+  if (!v) return null;
+  if (streamProbeCache.size > 500) streamProbeCache.clear();
+  streamProbeCache.set(key, { v, a });
+  return { v, a };
+}
+
+/* Whether a game carries audio; the effect graph has to know up front */
+const audioProbeCache = new Map();
+function probeHasAudio(input) {
+  if (input.audio) return Promise.resolve(true);
+  const m3u8Url = input.video;
+  if (audioProbeCache.has(m3u8Url)) return Promise.resolve(audioProbeCache.get(m3u8Url));
+  return new Promise((resolve) => {
+    const fp = spawn("ffprobe", [
+      "-v","error", ...hlsNetArgs(m3u8Url),
+      "-select_streams","a", "-show_entries","stream=index", "-of","csv=p=0",
+      m3u8Url,
+    ], { stdio: ["ignore","pipe","ignore"] });
+    let out = "";
+    const timer = setTimeout(() => fp.kill("SIGKILL"), 20000);
+    fp.stdout.on("data", (d) => { out += d; });
+    fp.on("error", () => { clearTimeout(timer); resolve(true); });
+    fp.on("exit", (code) => {
+      clearTimeout(timer);
+      if (code !== 0) return resolve(true); // assume the usual muxed audio
+      const has = out.trim().length > 0;
+      if (audioProbeCache.size > 500) audioProbeCache.clear();
+      audioProbeCache.set(m3u8Url, has);
+      resolve(has);
+    });
+  });
+}
+
+/* Fully re-encoded exports: social crop, branding and/or effects, cut exactly at A/B */
+async function sendFilteredClip(req, res, { jobId, code, input, sReq, eReq, aspect, keys, brandOpts, effects = [] }) {
+  const dur = +(eReq - sReq).toFixed(3);
+  const mode = aspect ? "social" : brandOpts ? "branded" : "effects";
+  initJob(jobId, {
+    status: "running",
+    mode,
+    aspect: aspect || undefined,
+    requested: { start: +sReq.toFixed(3), end: +eReq.toFixed(3) },
+    snapped:   { start: +sReq.toFixed(3), end: +eReq.toFixed(3), duration: dur },
+    progress:  { timeMs: 0, pct: 0 },
+    transfer:  { bytes: 0, totalBytes: null }
+  });
+
+  const baseChain = aspect ? socialFilter(aspect, keys) : "";
+  const part = { input, start: sReq, end: eReq, copy: false };
+  const brand = brandOpts ? await planBranding(code, sReq, brandOpts) : null;
+  const textDir = brand ? await fs.promises.mkdtemp(path.join(os.tmpdir(), "brand-")) : null;
   try {
-    if (!BASE) return res.status(500).type("text").end("Server misconfigured: BASE is not set");
+    let fxGraph = null;
+    if (effects.length) {
+      const pieces = effectPieces(effects, dur);
+      const withAudio = await probeHasAudio(input);
+      fxGraph = effectsGraph(pieces, { baseChain, withAudio, audio: audioIn(input), out: brand ? "fx" : "v" });
+      part.outDur = effectsDuration(pieces);
+      if (withAudio) part.audio = "[a]";
+    }
+    if (brand) {
+      const b = await brandFilter(brand, fxGraph ? "" : baseChain, textDir, fxGraph ? "fx" : "0:v", inputCount(input));
+      part.inputs = b.inputs;
+      part.filterComplex = fxGraph ? `${fxGraph};${b.filterComplex}` : b.filterComplex;
+    } else if (fxGraph) {
+      part.filterComplex = fxGraph;
+    } else {
+      part.vf = baseChain;
+    }
+
+    const suffix = [aspect && SOCIAL_ASPECTS[aspect].suffix, brand && "branded", effects.length && "fx"].filter(Boolean).join("_");
+    await renderAndSend(req, res, {
+      jobId,
+      parts: [part],
+      cacheKey: clipCacheKey([{ code, start: sReq, end: eReq }], { mode, aspect, keys, brand, effects }),
+      filename: `clip_${fileTag(code)}_${Math.floor(sReq)}-${Math.floor(eReq)}_${suffix}.mp4`,
+      headers: {
+        "X-Clip-Mode": mode,
+        ...(aspect ? { "X-Clip-Aspect": aspect } : {}),
+        ...(effects.length ? { "X-Clip-Effects": effects.map(x => x.type).join(","), "X-Clip-Duration": String(part.outDur) } : {}),
+        "X-Clip-Requested-Start": String(sReq.toFixed(3)),
+        "X-Clip-Requested-End":   String(eReq.toFixed(3)),
+        "X-Clip-Snapped-Start":   String(sReq.toFixed(3)),
+        "X-Clip-Snapped-End":     String(eReq.toFixed(3)),
+      },
+    });
+  } finally {
+    if (textDir) await fs.promises.rm(textDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/* --------------------------- GIF / WebP / JPEG ------------------------------ */
+/* format=gif|webp renders a short looping file for chats: reduced frame rate
+   and width, GIF with a palette built from the clip itself. format=jpg grabs
+   the single frame at `at` (default: start). aspect= crops them like MP4s. */
+const IMAGE_FORMATS = {
+  gif:  { fps: 12, width: 480 },
+  webp: { fps: 15, width: 540 },
+  jpg:  {},
+};
+
+function imageOutputArgs(format, chain) {
+  const pre = chain ? `${chain},` : "";
+  if (format === "gif") {
+    const { fps, width } = IMAGE_FORMATS.gif;
+    return [
+      "-filter_complex",
+      `[0:v]${pre}fps=${fps},scale=${width}:-2:flags=lanczos,split[g0][g1];` +
+        `[g0]palettegen=max_colors=128:stats_mode=diff[pal];` +
+        `[g1][pal]paletteuse=dither=bayer:bayer_scale=4:diff_mode=rectangle`,
+      "-an", "-loop","0", "-f","gif",
+    ];
+  }
+  if (format === "webp") {
+    const { fps, width } = IMAGE_FORMATS.webp;
+    return [
+      "-vf", `${pre}fps=${fps},scale=${width}:-2:flags=lanczos`,
+      "-an", "-c:v","libwebp", "-q:v","65", "-compression_level","4", "-loop","0", "-f","webp",
+    ];
+  }
+  return [...(chain ? ["-vf", chain] : []), "-an", "-frames:v","1", "-q:v","2", "-update","1", "-f","image2"];
+}
+
+/* Renders one gif/webp/jpg into dir; null if aborted */
+async function renderImage(jobId, { input, format, start, dur, chain }, dir, ctl) {
+  const out = path.join(dir, `out.${format}`);
+  const totalMs = Math.max(1, dur * 1000);
+  const r = await runFfmpeg([
+    ...hlsInputArgs(input, start, dur || undefined),
+    ...imageOutputArgs(format, chain),
+    out,
+  ], {
+    onSpawn: (ff) => { ctl.current = ff; },
+    onProgress: (ms) => patchJob(jobId, { progress: { timeMs: ms, pct: Math.min(95, Math.round((ms / totalMs) * 95)) } }),
+  });
+  if (ctl.aborted) return null;
+  if (r.code !== 0 || r.signal) throw new Error(r.errLog.trim() || `ffmpeg exited. code=${r.code} signal=${r.signal}`);
+  patchJob(jobId, { progress: { timeMs: totalMs, pct: 100 } });
+  return out;
+}
+
+async function sendImageClip(req, res, { jobId, code, input, sReq, eReq, format, aspect, keys, at }) {
+  const still = format === "jpg";
+  const dur = still ? 0 : +(eReq - sReq).toFixed(3);
+  if (dur > MAX_ANIM_SEC) {
+    const msg = `Animated ${format.toUpperCase()} is limited to ${MAX_ANIM_SEC}s; use MP4 for longer clips`;
+    initJob(jobId, { status: "error", error: msg });
+    return res.status(400).type("text").end(msg);
+  }
+  const start = still ? at : sReq;
+  initJob(jobId, {
+    status: "running",
+    mode: format,
+    aspect: aspect || undefined,
+    requested: { start: +start.toFixed(3), end: +(still ? at : eReq).toFixed(3) },
+    snapped:   { start: +start.toFixed(3), end: +(still ? at : eReq).toFixed(3), duration: dur },
+    progress:  { timeMs: 0, pct: 0 },
+    transfer:  { bytes: 0, totalBytes: null }
+  });
+
+  // Crop keyframes count from the clip start; a still is framed as of its moment.
+  const frameKeys = aspect && still ? keys.map(k => ({ ...k, t: k.t - (at - sReq) })) : keys;
+  const chain = aspect ? socialFilter(aspect, frameKeys) : "";
+  const suffix = aspect ? `_${SOCIAL_ASPECTS[aspect].suffix}` : "";
+  await renderAndSend(req, res, {
+    jobId,
+    format,
+    render: (dir, ctl) => renderImage(jobId, { input, format, start, dur, chain }, dir, ctl),
+    cacheKey: clipCacheKey([{ code, start, end: still ? at : eReq }], { mode: format, aspect, keys: frameKeys }),
+    filename: still
+      ? `snap_${fileTag(code)}_${Math.floor(at)}${suffix}.jpg`
+      : `clip_${fileTag(code)}_${Math.floor(sReq)}-${Math.floor(eReq)}${suffix}.${format}`,
+    headers: {
+      "X-Clip-Mode": format,
+      ...(aspect ? { "X-Clip-Aspect": aspect } : {}),
+      "X-Clip-Requested-Start": String(start.toFixed(3)),
+      "X-Clip-Requested-End":   String((still ? at : eReq).toFixed(3)),
+    },
+  });
+}
 
+/* -------------------------------- /clip ------------------------------------- */
+app.get("/clip", clipRateLimit, async (req, res) => {
+  try {
     const jobId = String(req.query.job || makeJobId());
     res.setHeader("X-Job-Id", jobId);
 
@@ -183,65 +1689,111 @@ app.get("/clip", async (req, res) => {
       initJob(jobId, { status: "error", error: "Bad params: code/start/end" });
       return res.status(400).type("text").end("Bad params: code/start/end");
     }
+    if (!hasPlayback(req, code)) {
+      initJob(jobId, { status: "error", error: "Playback token required" });
+      return res.status(403).type("text").end("Playback token required");
+    }
 
-    const m3u8Url = `${BASE}/videos/${encodeURIComponent(code)}/${PLAYLIST}`;
-    console.log("FFmpeg input URL:", m3u8Url);
+    let input, boundaries;
+    try {
+      ({ input, boundaries } = await loadSource(code));
+    } catch (e) {
+      initJob(jobId, { status: "error", error: e.message });
+      return res.status(e.status || 502).type("text").end(e.message);
+    }
+    console.log("FFmpeg input URL:", input.video);
+    const { sReq, eReq } = clampRange(boundaries, start, end);
 
-    const r = await fetch(m3u8Url, { headers: { "user-agent": UA, ...(REFERER ? { referer: REFERER } : {}) } });
-    if (!r.ok) {
-      initJob(jobId, { status: "error", error: `Failed to fetch playlist: HTTP ${r.status}` });
-      return res.status(502).type("text").end(`Failed to fetch playlist: HTTP ${r.status}`);
+    const aspect = String(req.query.aspect || "");
+    const brand = String(req.query.brand || "") === "1";
+    let effects = [];
+    try {
+      effects = parseEffects(req.query.fx, sReq, eReq);
+    } catch (e) {
+      initJob(jobId, { status: "error", error: e.message });
+      return res.status(e.status || 400).type("text").end(e.message);
+    }
+    if (aspect && !SOCIAL_ASPECTS[aspect]) {
+      initJob(jobId, { status: "error", error: "Bad aspect: use 9:16 or 1:1" });
+      return res.status(400).type("text").end("Bad aspect: use 9:16 or 1:1");
     }
-    const playlistText = await r.text();
-    const boundaries = parseBoundaries(playlistText);
-    const total = boundaries[boundaries.length - 1] || 0;
+    const keys = aspect ? parseCropKeys(req.query.crop) : undefined;
 
-    const sReq = Math.max(0, Math.min(start, Math.max(0, total - 0.001)));
-    const eReq = Math.max(0, Math.min(end, total));
+    const format = String(req.query.format || "mp4");
+    if (format !== "mp4") {
+      const bad = !IMAGE_FORMATS[format] ? "Bad format: use mp4, gif, webp or jpg"
+        : brand || effects.length ? "Branding and effects are only available for MP4"
+        : null;
+      if (bad) {
+        initJob(jobId, { status: "error", error: bad });
+        return res.status(400).type("text").end(bad);
+      }
+      const atReq = Number(req.query.at ?? sReq);
+      const at = Number.isFinite(atReq) ? Math.max(sReq, Math.min(eReq, atReq)) : sReq;
+      return await sendImageClip(req, res, { jobId, code, input, sReq, eReq, format, aspect, keys, at });
+    }
 
-    const sSnap = floorBoundary(boundaries, sReq);
-    let eSnap  = ceilBoundary(boundaries, eReq);
-    if (eSnap <= sSnap) {
-      const idx = boundaries.indexOf(sSnap);
-      eSnap = boundaries[Math.min(idx + 1, boundaries.length - 1)];
+    if (aspect || brand || effects.length) {
+      const brandOpts = brand ? {
+        title: String(req.query.title || "").trim().slice(0, 80),
+        score: String(req.query.score || "").trim().slice(0, 40),
+      } : null;
+      return await sendFilteredClip(req, res, { jobId, code, input, sReq, eReq, aspect, keys, brandOpts, effects });
+    }
+    if (String(req.query.accurate || "") === "1") {
+      return await sendAccurateClip(req, res, { jobId, code, input, boundaries, sReq, eReq });
     }
+
+    const { start: sSnap, end: eSnap } = planRange(input, boundaries, sReq, eReq, false);
     const dur = +(eSnap - sSnap).toFixed(3);
-    const filename = `clip_${code}_${Math.floor(sReq)}-${Math.floor(eReq)}.mp4`;
+    const filename = `clip_${fileTag(code)}_${Math.floor(sReq)}-${Math.floor(eReq)}.mp4`;
+    const ua = String(req.headers["user-agent"] || "");
+    const isIOS = /iPhone|iPad|iPod/i.test(ua);
+    const wantSolid = FORCE_SOLID || isIOS || String(req.query.solid || "") === "1";
+    // Streamed renders are fragmented MP4, which iOS cannot play: the layout is
+    // part of the key. A solid file suits everyone, so streaming tries it first.
+    const cutKey = (layout) => clipCacheKey([{ code, start: sSnap, end: eSnap }], { mode: "fast", layout });
+    const cacheKey = cutKey(wantSolid ? "solid" : "fragmented");
+    const clipHeaders = {
+      "X-Clip-Mode": "fast",
+      "X-Clip-Requested-Start": String(sReq.toFixed(3)),
+      "X-Clip-Requested-End":   String(eReq.toFixed(3)),
+      "X-Clip-Snapped-Start":   String(sSnap.toFixed(3)),
+      "X-Clip-Snapped-End":     String(eSnap.toFixed(3)),
+    };
 
     initJob(jobId, {
       status: "running",
+      mode: "fast",
       requested: { start: +sReq.toFixed(3), end: +eReq.toFixed(3) },
       snapped:   { start: +sSnap.toFixed(3), end: +eSnap.toFixed(3), duration: dur },
       progress:  { timeMs: 0, pct: 0 },
       transfer:  { bytes: 0, totalBytes: null }
     });
 
-    const ua = String(req.headers["user-agent"] || "");
-    const isIOS = /iPhone|iPad|iPod/i.test(ua);
-    const wantSolid = FORCE_SOLID || isIOS || String(req.query.solid || "") === "1";
+    let hitKey = cutKey("solid");
+    let cached = await cacheGet(hitKey);
+    if (!cached && !wantSolid) cached = await cacheGet(hitKey = cacheKey);
+    if (cached) {
+      patchJob(jobId, { status: "ready", cached: true, progress: { pct: 100 } });
+      await sendCachedClip(res, cached, { key: hitKey, filename, headers: { ...clipHeaders, "X-Clip-Cache": "hit", "X-Job-Id": jobId } });
+      return endJob(jobId, "done");
+    }
 
-    const headerLines = [];
-    if (REFERER) headerLines.push(`Referer: ${REFERER}`);
-    const headersArg = headerLines.length ? ["-headers", headerLines.join("\r\n")] : [];
+    let release;
+    try {
+      release = await acquireRenderSlot(jobId, res);
+    } catch (e) {
+      replyNoSlot(res, jobId, e);
+      return;
+    }
 
     const baseArgs = [
       "-hide_banner","-loglevel","error","-nostdin",
-      "-protocol_whitelist","file,crypto,https,tcp,tls",
-      "-rw_timeout","15000000",
-      "-user_agent", UA,
-      "-allowed_extensions","ALL",
-      "-http_persistent","0",
-      "-reconnect","1",
-      "-reconnect_streamed","1",
-      "-reconnect_on_http_error","4xx,5xx",
-      "-reconnect_delay_max","5",
-      ...headersArg,
-
-      "-ss", String(sSnap),
-      "-i", m3u8Url,
+      ...hlsInputArgs(input, sSnap),
       "-t", String(dur),
 
-      "-map","0:v?","-map","0:a?",
+      "-map","0:v?","-map",`${audioIn(input)}?`,
       "-c:v","copy",
       "-c:a","copy",
       "-bsf:a","aac_adtstoasc",
@@ -262,6 +1814,12 @@ app.get("/clip", async (req, res) => {
 
     const ff = spawn("ffmpeg", args, { stdio: ["ignore","pipe","pipe"] });
 
+    // Streamed bytes are also written to disk so a clean run lands in the cache.
+    const teeFile = wantSolid ? null : path.join(os.tmpdir(), `${Date.now()}_${Math.random().toString(36).slice(2)}.mp4`);
+    const tee = teeFile ? fs.createWriteStream(teeFile) : null;
+    const teeClosed = tee ? new Promise(resolve => tee.on("close", resolve)) : null;
+    if (tee) ff.stdout.pipe(tee);
+
     req.on("aborted", () => {
       try { ff.kill("SIGKILL"); } catch {}
       endJob(jobId, "canceled");
@@ -292,10 +1850,8 @@ app.get("/clip", async (req, res) => {
           res.setHeader("Content-Type", "video/mp4");
           res.setHeader("Cache-Control", "no-store");
           res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-          res.setHeader("X-Clip-Requested-Start", String(sReq.toFixed(3)));
-          res.setHeader("X-Clip-Requested-End",   String(eReq.toFixed(3)));
-          res.setHeader("X-Clip-Snapped-Start",   String(sSnap.toFixed(3)));
-          res.setHeader("X-Clip-Snapped-End",     String(eSnap.toFixed(3)));
+          for (const [k, v] of Object.entries(clipHeaders)) res.setHeader(k, v);
+          res.setHeader("X-Clip-Cache", "miss");
           res.setHeader("X-Job-Id", jobId);
         }
         res.write(chunk);
@@ -329,38 +1885,22 @@ app.get("/clip", async (req, res) => {
 
     ff.on("exit", async (codeExit, signal) => {
       if (watchdog) clearTimeout(watchdog);
+      release();
 
       if (wantSolid) {
         if (codeExit === 0 && !signal) {
           try {
-            const st = await fs.promises.stat(outputTarget);
+            const file = await cachePut(cacheKey, outputTarget);
+            const st = await fs.promises.stat(file);
             patchJob(jobId, { status: "ready", transfer: { totalBytes: st.size } });
-
-            res.status(200);
-            res.setHeader("Content-Type", "video/mp4");
-            res.setHeader("Cache-Control", "no-store");
-            res.setHeader("Content-Length", String(st.size));
-            res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-            res.setHeader("X-Clip-Requested-Start", String(sReq.toFixed(3)));
-            res.setHeader("X-Clip-Requested-End",   String(eReq.toFixed(3)));
-            res.setHeader("X-Clip-Snapped-Start",   String(sSnap.toFixed(3)));
-            res.setHeader("X-Clip-Snapped-End",     String(eSnap.toFixed(3)));
-            res.setHeader("X-Job-Id", jobId);
-
-            const read = fs.createReadStream(outputTarget);
-            read.on("data", (chunk) => {
-              patchJob(jobId, { transfer: { bytes: (jobs.get(jobId)?.transfer?.bytes || 0) + chunk.length } });
-            });
-            read.pipe(res);
-            read.on("close", async () => {
-              try { await fs.promises.unlink(outputTarget); } catch {}
-              endJob(jobId, "done");
-            });
+            await sendCachedClip(res, file, { key: cacheKey, filename, headers: { ...clipHeaders, "X-Clip-Cache": "miss", "X-Job-Id": jobId } });
+            endJob(jobId, "done");
             return;
           } catch (e) {
             console.error("send solid file error", e);
           }
         }
+        fs.promises.unlink(outputTarget).catch(() => {});
         const msg = (errLog.trim() || `ffmpeg exited. code=${codeExit} signal=${signal}`).slice(0, 1800);
         endJob(jobId, "error", msg);
         return res.status(500).type("text").end(msg);
@@ -371,16 +1911,21 @@ app.get("/clip", async (req, res) => {
           return res.status(500).type("text").end(msg);
         }
         if (!res.writableEnded) res.end();
-        if (codeExit !== 0 || signal) {
+        const clean = codeExit === 0 && !signal;
+        if (!clean) {
           console.error("ffmpeg exit", { codeExit, signal, err: errLog });
         }
+        teeClosed.then(() => (clean ? cachePut(cacheKey, teeFile) : Promise.reject()))
+          .catch(() => fs.promises.unlink(teeFile).catch(() => {}));
         endJob(jobId, "done");
       }
     });
 
     ff.on("error", (e) => {
       if (watchdog) clearTimeout(watchdog);
+      release();
       console.error("spawn error", e);
+      if (tee) { tee.destroy(); teeClosed.then(() => fs.promises.unlink(teeFile).catch(() => {})); }
       endJob(jobId, "error", e.message || String(e));
       if (!sentHeaders) res.status(500).type("text").end("spawn error: " + (e.message || e));
       else try { res.end(); } catch {}
@@ -392,5 +1937,706 @@ app.get("/clip", async (req, res) => {
   }
 });
 
+/* ---------------------------- Range helpers --------------------------------- */
+/* Validates [{ code, start, end, pt }] and checks each game's playback token.
+   Returns { ranges } without the tokens, or { status, error }. */
+function checkRanges(list) {
+  if (!Array.isArray(list) || !list.length || list.length > MAX_REEL_RANGES) {
+    return { status: 400, error: `Send between 1 and ${MAX_REEL_RANGES} ranges` };
+  }
+  const ranges = [];
+  for (const range of list) {
+    const code  = String(range?.code || "").trim();
+    const start = Number(range?.start);
+    const end   = Number(range?.end);
+    if (!code || !Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+      return { status: 400, error: "Bad range: code/start/end" };
+    }
+    if (!playbackTokenOk(range.pt, code)) return { status: 403, error: `Playback token required for ${code}` };
+    ranges.push({ code, start, end });
+  }
+  return { ranges };
+}
+
+/* Fetches each game's playlist once and plans every range. Errors carry the
+   HTTP status to answer with. */
+async function planSegments(ranges, accurate) {
+  const playlists = new Map(); // code -> { input, boundaries }
+  const segments = [];
+  for (const { code, start, end } of ranges) {
+    if (!playlists.has(code)) playlists.set(code, await loadSource(code));
+    const { input, boundaries } = playlists.get(code);
+    const { sReq, eReq } = clampRange(boundaries, start, end);
+    if (eReq <= sReq) throw Object.assign(new Error(`Range ${start}-${end} is outside game ${fileTag(code)}`), { status: 400 });
+    segments.push({ code, sReq, eReq, ...planRange(input, boundaries, sReq, eReq, accurate) });
+  }
+
+  const dur = +segments.reduce((s, seg) => s + (seg.end - seg.start), 0).toFixed(3);
+  if (dur > MAX_REEL_SEC) {
+    throw Object.assign(new Error(`Clip is too long (${Math.round(dur)}s, max ${MAX_REEL_SEC}s)`), { status: 400 });
+  }
+  return segments;
+}
+
+/* Job fields describing planned segments */
+function segmentsSummary(segments) {
+  const dur = +segments.reduce((s, seg) => s + (seg.end - seg.start), 0).toFixed(3);
+  return {
+    requested: { start: 0, end: +segments.reduce((s, seg) => s + (seg.eReq - seg.sReq), 0).toFixed(3) },
+    snapped:   { start: 0, end: dur, duration: dur },
+    ranges:    segments.map(seg => ({ code: seg.code, start: +seg.start.toFixed(3), end: +seg.end.toFixed(3) })),
+  };
+}
+
+/* -------------------------------- /reel ------------------------------------- */
+/* Highlight reel: several ranges, possibly from different games, joined into
+   one MP4 in the order given. Body:
+   { job?, accurate?, ranges: [{ code, start, end, pt }] }
+   Each range carries the playback token for its own game code. */
+app.post("/reel", clipRateLimit, async (req, res) => {
+  try {
+    const jobId = String(req.body?.job || makeJobId());
+    res.setHeader("X-Job-Id", jobId);
+    const bad = (status, msg) => {
+      initJob(jobId, { status: "error", error: msg });
+      return res.status(status).type("text").end(msg);
+    };
+
+    const accurate = req.body?.accurate === true || String(req.body?.accurate || "") === "1";
+    const checked = checkRanges(req.body?.ranges);
+    if (checked.error) return bad(checked.status, checked.error);
+
+    let segments;
+    try {
+      segments = await planSegments(checked.ranges, accurate);
+    } catch (e) {
+      return bad(e.status || 500, e.message);
+    }
+
+    const summary = segmentsSummary(segments);
+    initJob(jobId, {
+      status: "running",
+      mode: accurate ? "accurate" : "fast",
+      ...summary,
+      progress:  { timeMs: 0, pct: 0 },
+      transfer:  { bytes: 0, totalBytes: null }
+    });
+
+    await renderAndSend(req, res, {
+      jobId,
+      parts: segments.flatMap(seg => seg.parts),
+      cacheKey: clipCacheKey(segments, { mode: accurate ? "accurate" : "fast" }),
+      filename: `reel_${segments.length}_clips.mp4`,
+      headers: {
+        "X-Clip-Mode": accurate ? "accurate" : "fast",
+        "X-Reel-Ranges": JSON.stringify(summary.ranges),
+      },
+    });
+  } catch (e) {
+    console.error("reel handler", e);
+    if (!res.headersSent) res.status(500).type("text").end("Server error: " + (e.message || e));
+  }
+});
+
+/* ---------------------------- Async clip jobs -------------------------------- */
+/* POST /clips queues a render and answers at once; a worker renders it into
+   the clip cache and GET /clips/:id/file serves it from there, so a phone can
+   leave the page and come back for the file. Body is a single range
+   { code, start, end, pt, accurate? } or a reel { ranges: [...], accurate? }.
+   Like /progress, knowing the job id is what grants access to the result.
+   Files are in S3_BUCKET before a job reports done, so the result survives
+   restarts and can be fetched from any instance; without it /clips is off. */
+const localQueue = [];       // job ids, used when REDIS_URL is not set
+let wakeWorker = null;
+
+async function enqueueClipJob(jobId) {
+  if (redis) return redis.lpush(QUEUE_KEY, jobId);
+  localQueue.push(jobId);
+  wakeWorker?.();
+}
+async function takeClipJob() {
+  if (redisQueue) return redisQueue.blmove(QUEUE_KEY, PROCESSING_KEY, "RIGHT", "LEFT", 5);
+  if (!localQueue.length) {
+    await new Promise((resolve) => { wakeWorker = resolve; setTimeout(resolve, 5000); });
+    wakeWorker = null;
+  }
+  return localQueue.shift() || null;
+}
+
+/* /clips jobs still waiting for a worker report their place in the job queue
+   (the render pool reports its own line once a worker has picked them up) */
+async function withJobQueuePosition(job) {
+  if (!job.spec || job.status !== "queued" || job.queue) return job;
+  if (redis) {
+    const [idx, length] = await Promise.all([redis.lpos(QUEUE_KEY, job.id), redis.llen(QUEUE_KEY)]).catch(() => [null, 0]);
+    // Workers pop from the right, so the right end is first in line.
+    return idx == null ? job : { ...job, queue: { position: length - idx, length } };
+  }
+  const idx = localQueue.indexOf(job.id);
+  return idx < 0 ? job : { ...job, queue: { position: idx + 1, length: localQueue.length } };
+}
+
+async function processClipJob(jobId) {
+  const job = await getJob(jobId);
+  if (!job || job.status !== "queued") return;
+  jobs.set(jobId, job);
+  patchJob(jobId, { status: "running" });
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "clip-"));
+  try {
+    const segments = await planSegments(job.spec.ranges, job.spec.accurate);
+    const cacheKey = clipCacheKey(segments, { mode: job.spec.accurate ? "accurate" : "fast" });
+    patchJob(jobId, segmentsSummary(segments));
+
+    // "done" promises the file from any instance, so it must be in the bucket first
+    let file = await cacheGet(cacheKey);
+    if (file) {
+      await cacheEnsureStored(cacheKey, file);
+      patchJob(jobId, { cached: true });
+    } else {
+      const release = await acquireRenderSlot(jobId);
+      try {
+        const out = await renderParts(jobId, segments.flatMap(seg => seg.parts), dir);
+        file = await cachePut(cacheKey, out, "mp4", { durable: true });
+      } finally {
+        release();
+      }
+    }
+    const st = await fs.promises.stat(file);
+    patchJob(jobId, { file: { name: job.spec.filename, key: cacheKey, bytes: st.size }, transfer: { totalBytes: st.size } });
+    endJob(jobId, "done");
+  } catch (e) {
+    console.error("clip job", jobId, e.message || e);
+    endJob(jobId, "error", String(e.message || e).slice(0, 1800));
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+async function clipWorkerLoop() {
+  for (;;) {
+    let jobId = null;
+    try {
+      jobId = await takeClipJob();
+      if (jobId) await processClipJob(jobId);
+    } catch (e) {
+      console.error("clip worker", e.message || e);
+      await new Promise(r => setTimeout(r, 1000));
+    } finally {
+      if (jobId && redis) await redis.lrem(PROCESSING_KEY, 1, jobId).catch(() => {});
+    }
+  }
+}
+
+/* A job left in the processing list by an instance that died mid-render goes
+   back on the queue once its state has not changed for STALE_JOB_MS. */
+async function requeueStaleJobs() {
+  if (!redis) return;
+  const ids = await redis.lrange(PROCESSING_KEY, 0, -1);
+  for (const jobId of ids) {
+    if (jobs.has(jobId)) continue; // rendering here
+    const job = await getJob(jobId);
+    if (job && !FINAL_JOB_STATES.has(job.status) && Date.now() - job.updatedAt < STALE_JOB_MS) continue;
+    if (!(await redis.lrem(PROCESSING_KEY, 1, jobId))) continue; // another instance got there first
+    if (!job || FINAL_JOB_STATES.has(job.status)) continue;
+    saveJob({ ...job, status: "queued", progress: { timeMs: 0, pct: 0 }, updatedAt: Date.now() });
+    jobs.delete(jobId);
+    await redis.rpush(QUEUE_KEY, jobId);
+    console.warn("requeued stale clip job", jobId);
+  }
+}
+
+app.post("/clips", clipRateLimit, async (req, res) => {
+  if (!s3) return res.status(503).json({ error: "Queued clips need S3_BUCKET" });
+  try {
+    const body = req.body || {};
+    const accurate = body.accurate === true || String(body.accurate || "") === "1";
+    const checked = checkRanges(Array.isArray(body.ranges) ? body.ranges : [body]);
+    if (checked.error) return res.status(checked.status).json({ error: checked.error });
+
+    const { ranges } = checked;
+    const filename = ranges.length === 1
+      ? `clip_${fileTag(ranges[0].code)}_${Math.floor(ranges[0].start)}-${Math.floor(ranges[0].end)}.mp4`
+      : `reel_${ranges.length}_clips.mp4`;
+    const jobId = makeJobId();
+    initJob(jobId, {
+      status: "queued",
+      mode: accurate ? "accurate" : "fast",
+      spec: { ranges, accurate, filename },
+      requested: { start: 0, end: +ranges.reduce((s, r) => s + (r.end - r.start), 0).toFixed(3) },
+    });
+    await enqueueClipJob(jobId);
+
+    res.status(202).json({
+      id: jobId,
+      status: "queued",
+      progressUrl: `/progress/${jobId}`,
+      fileUrl: `/clips/${jobId}/file`,
+    });
+  } catch (e) {
+    console.error("clips enqueue", e);
+    res.status(500).json({ error: "Failed to queue clip" });
+  }
+});
+
+app.get("/clips/:id/file", async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job?.spec) return res.status(404).json({ error: "clip not found" });
+    if (job.status !== "done") return res.status(409).json({ error: "Clip is not ready", status: job.status });
+
+    const file = job.file?.key && await cacheGet(job.file.key);
+    if (!file) return res.status(404).json({ error: "Clip file has expired" });
+
+    await sendCachedClip(res, file, { key: job.file.key, filename: job.spec.filename, headers: { "X-Job-Id": job.id } });
+  } catch (e) {
+    console.error("clips file", e);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to send clip" });
+  }
+});
+
+/* ------------------------- Seek-bar thumbnails ------------------------------ */
+/* GET /thumbs/:code/index.vtt is a WebVTT thumbnails track: one cue per
+   THUMB_EVERY_SEC pointing at "sprite-N.jpg#xywh=x,y,w,h", and
+   GET /thumbs/:code/sprite-N.jpg serves the sheets. The first request starts
+   a build (keyframes only, so it is quick) and gets 202 with Retry-After and
+   the job's progressUrl. Sheets live in CACHE_DIR/thumbs until they age out. */
+const THUMB_W = 160, THUMB_H = 90, THUMB_COLS = 10, THUMB_ROWS = 10;
+const THUMB_RETRY_MS = 5 * 60 * 1000;      // a failed build is not retried sooner
+const thumbBuilds = new Map();             // code → { jobId, promise }
+const thumbFailures = new Map();           // code → failedAt
+
+const thumbsRoot = () => path.join(CACHE_DIR, "thumbs");
+const thumbDir = (code) => path.join(thumbsRoot(), crypto.createHash("sha1").update(code).digest("hex").slice(0, 24));
+
+function vttTime(sec) {
+  const ms = Math.round(sec * 1000);
+  const h = Math.floor(ms / 3600000), m = Math.floor(ms / 60000) % 60, s = Math.floor(ms / 1000) % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}.${String(ms % 1000).padStart(3, "0")}`;
+}
+
+function thumbsVtt(duration) {
+  const perSheet = THUMB_COLS * THUMB_ROWS;
+  const cues = ["WEBVTT", ""];
+  for (let i = 0; i * THUMB_EVERY_SEC < duration; i++) {
+    const cell = i % perSheet;
+    const x = (cell % THUMB_COLS) * THUMB_W, y = Math.floor(cell / THUMB_COLS) * THUMB_H;
+    cues.push(
+      `${vttTime(i * THUMB_EVERY_SEC)} --> ${vttTime(Math.min(duration, (i + 1) * THUMB_EVERY_SEC))}`,
+      `sprite-${Math.floor(i / perSheet)}.jpg#xywh=${x},${y},${THUMB_W},${THUMB_H}`,
+      "",
+    );
+  }
+  return cues.join("\n");
+}
+
+async function buildThumbs(code, jobId) {
+  const { input, live, boundaries } = await loadSource(code);
+  const duration = boundaries[boundaries.length - 1];
+  if (!duration) throw new Error("Playlist has no segments");
+  if (live) throw new Error("Thumbnails are built once the game has finished recording");
+
+  const release = await acquireRenderSlot(jobId);
+  const dir = thumbDir(code);
+  const tmp = `${dir}.${crypto.randomUUID()}.part`;
+  try {
+    patchJob(jobId, { status: "running" });
+    await fs.promises.mkdir(tmp, { recursive: true });
+    const r = await runFfmpeg([
+      "-skip_frame","nokey",
+      ...hlsInputArgs({ video: input.video }, 0), // sprites need no audio input
+      "-an",
+      "-vf", `fps=1/${THUMB_EVERY_SEC},scale=${THUMB_W}:${THUMB_H}:force_original_aspect_ratio=decrease,` +
+        `pad=${THUMB_W}:${THUMB_H}:(ow-iw)/2:(oh-ih)/2,tile=${THUMB_COLS}x${THUMB_ROWS}`,
+      "-q:v","5", "-start_number","0", "-f","image2",
+      path.join(tmp, "sprite-%d.jpg"),
+    ], {
+      onProgress: (ms) => patchJob(jobId, { progress: { timeMs: ms, pct: Math.min(95, Math.round((ms / 1000 / duration) * 95)) } }),
+    });
+    if (r.code !== 0 || r.signal) throw new Error(r.errLog.trim() || `ffmpeg exited. code=${r.code} signal=${r.signal}`);
+
+    await fs.promises.writeFile(path.join(tmp, "index.vtt"), thumbsVtt(duration));
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await fs.promises.rename(tmp, dir);
+    endJob(jobId, "done");
+  } finally {
+    release();
+    await fs.promises.rm(tmp, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+function startThumbBuild(code) {
+  const running = thumbBuilds.get(code);
+  if (running) return running.jobId;
+
+  const jobId = `thumbs_${makeJobId()}`;
+  initJob(jobId, { status: "queued", mode: "thumbs" });
+  const promise = buildThumbs(code, jobId)
+    .catch((e) => {
+      console.error("thumbs", code, e.message || e);
+      thumbFailures.set(code, Date.now());
+      endJob(jobId, "error", String(e.message || e).slice(0, 1800));
+    })
+    .finally(() => thumbBuilds.delete(code));
+  thumbBuilds.set(code, { jobId, promise });
+  return jobId;
+}
+
+app.get("/thumbs/:code/:file", async (req, res) => {
+  try {
+    const { code, file } = req.params;
+    if (file !== "index.vtt" && !/^sprite-\d{1,4}\.jpg$/.test(file)) return res.status(404).json({ error: "not found" });
+    if (!hasPlayback(req, code)) return res.status(403).json({ error: "playback token required" });
+
+    const id = sourceId(code); // one sprite set per game, whichever alias asked
+    const dir = thumbDir(id);
+    if (await fs.promises.stat(path.join(dir, "index.vtt")).catch(() => null)) {
+      return res.sendFile(path.join(dir, file), {
+        headers: {
+          "Content-Type": file.endsWith(".vtt") ? "text/vtt; charset=utf-8" : "image/jpeg",
+          "Cache-Control": "private, max-age=86400",
+        },
+      }, (err) => { if (err && !res.headersSent) res.status(404).json({ error: "not found" }); });
+    }
+
+    const failedAt = thumbFailures.get(id);
+    if (failedAt && Date.now() - failedAt < THUMB_RETRY_MS) {
+      return res.status(404).json({ error: "No thumbnails for this game" });
+    }
+    thumbFailures.delete(id);
+    const jobId = startThumbBuild(id);
+    res.set("Retry-After", "10").status(202).json({ status: "building", jobId, progressUrl: `/progress/${jobId}` });
+  } catch (e) {
+    console.error("thumbs route", e);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to load thumbnails" });
+  }
+});
+
+/* ---------------------- Adaptive bitrate packaging -------------------------- */
+/* An R2 game is packaged once into a multi-rendition HLS set next to its
+   original: videos/<code>/ABR_PLAYLIST (the master) plus one folder per
+   rendition. The top rendition keeps the original's height at near-source
+   quality and the ABR_LADDER heights below it are added, so nothing gets much
+   worse than what the camera recorded. Every rendition is encoded with the same
+   forced keyframes, one per segment, so segment boundaries line up and players
+   can switch between them cleanly. The recording server queues it with
+   POST /package/:code when the game is delivered, and staff can re-run it
+   there; nothing a viewer does starts a full-game encode. State lives in Mongo (abr_packages:
+   {code,status,renditions,jobId,error,updatedAt}) so every instance sees it. */
+const ABR_LADDER = [
+  { height: 1080, bitrate: 5000 },
+  { height: 720,  bitrate: 2800 },
+  { height: 480,  bitrate: 1200 },
+].filter(r => ABR_HEIGHTS.includes(r.height));
+const ABR_SEGMENT_S = 6;              // HLS segment length; also the keyframe interval
+const ABR_STALE_MS = 15 * 60 * 1000;  // "running" with no heartbeat for this long → reclaimable
+const abrReady = new Set();           // codes known to be packaged (they never go back)
+
+const abrPackagingOn = () => !!(videoStore && Packages);
+
+/* Master playlist URL for a packaged R2 game, else null */
+async function abrPlaylistUrl(source) {
+  if (source.kind !== "r2" || !Packages) return null;
+  const url = `${BASE}/videos/${encodeURIComponent(source.id)}/${ABR_PLAYLIST}`;
+  if (abrReady.has(source.id)) return url;
+  const doc = await Packages.findOne({ code: source.id }, { projection: { status: 1 } }).catch(() => null);
+  if (doc?.status !== "ready") return null;
+  abrReady.add(source.id);
+  return url;
+}
+
+/* Height of the first video stream, or 0 when ffprobe cannot tell */
+function probeVideoHeight(m3u8Url) {
+  return new Promise((resolve) => {
+    const fp = spawn("ffprobe", [
+      "-v","error", ...hlsNetArgs(m3u8Url),
+      "-select_streams","v:0", "-show_entries","stream=height", "-of","csv=p=0",
+      m3u8Url,
+    ], { stdio: ["ignore","pipe","ignore"] });
+    let out = "";
+    const timer = setTimeout(() => fp.kill("SIGKILL"), 20000);
+    fp.stdout.on("data", (d) => { out += d; });
+    fp.on("error", () => { clearTimeout(timer); resolve(0); });
+    fp.on("exit", () => { clearTimeout(timer); resolve(parseInt(out, 10) || 0); });
+  });
+}
+
+/* ffmpeg args writing every rendition and the master into dir */
+function abrArgs(input, { sourceHeight, withAudio }, dir) {
+  const encoded = ABR_LADDER.filter(r => !sourceHeight || r.height < sourceHeight);
+  const names = [sourceHeight ? `${sourceHeight}p` : "source", ...encoded.map(r => `${r.height}p`)];
+  const args = [...hlsInputArgs(input, 0)];
+  names.forEach(() => {
+    args.push("-map", "0:v:0");
+    if (withAudio) args.push("-map", `${audioIn(input)}:0`);
+  });
+  args.push("-crf:v:0", "18");
+  encoded.forEach((r, i) => {
+    const v = i + 1;
+    args.push(
+      `-filter:v:${v}`, `scale=-2:${r.height}`,
+      `-b:v:${v}`, `${r.bitrate}k`, `-maxrate:v:${v}`, `${Math.round(r.bitrate * 1.2)}k`, `-bufsize:v:${v}`, `${r.bitrate * 2}k`,
+    );
+  });
+  args.push(
+    "-c:v","libx264", "-preset","veryfast", "-pix_fmt","yuv420p",
+    "-force_key_frames", `expr:gte(t,n_forced*${ABR_SEGMENT_S})`, "-sc_threshold","0",
+    ...(withAudio ? ["-c:a","copy"] : []),
+    "-f","hls", "-hls_time", String(ABR_SEGMENT_S), "-hls_playlist_type","vod",
+    "-hls_segment_filename", path.join(dir, "%v", "seg_%05d.ts"),
+    "-master_pl_name", ABR_PLAYLIST,
+    "-var_stream_map", names.map((name, i) => `v:${i}${withAudio ? `,a:${i}` : ""},name:${name}`).join(" "),
+    path.join(dir, "%v", "index.m3u8"),
+  );
+  return { args, renditions: [{ height: sourceHeight, crf: 18 }, ...encoded] };
+}
+
+const ABR_TYPES = { ".m3u8": "application/vnd.apple.mpegurl", ".ts": "video/mp2t" };
+
+/* Uploads a packaged dir next to the game's original; the master goes last so
+   it never points at renditions that are not there yet */
+async function uploadAbr(code, dir) {
+  const files = (await fs.promises.readdir(dir, { recursive: true, withFileTypes: true }))
+    .filter(d => d.isFile())
+    .map(d => path.relative(dir, path.join(d.parentPath ?? d.path, d.name)))
+    .sort((a, b) => (a === ABR_PLAYLIST) - (b === ABR_PLAYLIST));
+  for (const rel of files) {
+    await videoStore.send(new PutObjectCommand({
+      Bucket: VIDEOS_BUCKET,
+      Key: `${VIDEOS_PREFIX}${code}/${rel.split(path.sep).join("/")}`,
+      Body: fs.createReadStream(path.join(dir, rel)),
+      ContentLength: (await fs.promises.stat(path.join(dir, rel))).size,
+      ContentType: ABR_TYPES[path.extname(rel)] || "application/octet-stream",
+    }));
+  }
+}
+
+async function packageAbr(code, jobId) {
+  const { source, input, live, boundaries } = await loadSource(code, { original: true });
+  if (source.kind !== "r2") throw new Error("Only R2 games can be packaged");
+  if (live) throw new Error("The game is still recording");
+  const duration = boundaries[boundaries.length - 1];
+  if (!duration) throw new Error("Playlist has no segments");
+  const [sourceHeight, withAudio] = await Promise.all([probeVideoHeight(input.video), probeHasAudio(input)]);
+
+  const release = await acquireRenderSlot(jobId);
+  const dir = path.join(os.tmpdir(), `abr_${crypto.randomUUID()}`);
+  const heartbeat = setInterval(() => {
+    Packages.updateOne({ code, jobId }, { $set: { updatedAt: new Date() } }).catch(() => {});
+  }, 60_000);
+  try {
+    patchJob(jobId, { status: "running" });
+    await Packages.updateOne({ code, jobId }, { $set: { status: "running", updatedAt: new Date() } });
+    const { args, renditions } = abrArgs(input, { sourceHeight, withAudio }, dir);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const r = await runFfmpeg(args, {
+      onProgress: (ms) => patchJob(jobId, { progress: { timeMs: ms, pct: Math.min(90, Math.round((ms / 1000 / duration) * 90)) } }),
+    });
+    if (r.code !== 0 || r.signal) throw new Error(r.errLog.trim() || `ffmpeg exited. code=${r.code} signal=${r.signal}`);
+
+    await uploadAbr(code, dir);
+    await Packages.updateOne({ code, jobId }, {
+      $set: { status: "ready", renditions, error: "", updatedAt: new Date() },
+    });
+    abrReady.add(code);
+    endJob(jobId, "done");
+  } finally {
+    clearInterval(heartbeat);
+    release();
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/* Claims the game in Mongo and starts packaging here. Returns the job id, or
+   null when it is already packaged/packaging (force re-runs ready and failed
+   ones). A failed game is not retried on its own. */
+async function startPackage(code, { force = false } = {}) {
+  const jobId = `abr_${makeJobId()}`;
+  const now = new Date();
+  try {
+    await Packages.updateOne(
+      {
+        code,
+        $or: [
+          { status: { $nin: ["queued", "running", "ready", "error"] } },
+          ...(force ? [{ status: { $in: ["ready", "error"] } }] : []),
+          { status: { $in: ["queued", "running"] }, updatedAt: { $lt: new Date(now - ABR_STALE_MS) } },
+        ],
+      },
+      { $set: { status: "queued", jobId, error: "", updatedAt: now } },
+      { upsert: true },
+    );
+  } catch (e) {
+    if (e.code === 11000) return null; // someone else holds it
+    throw e;
+  }
+
+  abrReady.delete(code);
+  initJob(jobId, { status: "queued", mode: "abr" });
+  packageAbr(code, jobId).catch((e) => {
+    const error = String(e.message || e).slice(0, 1800);
+    console.error("abr", code, error);
+    Packages.updateOne({ code, jobId }, { $set: { status: "error", error, updatedAt: new Date() } }).catch(() => {});
+    endJob(jobId, "error", error);
+  });
+  return jobId;
+}
+
+/* The recording server's hand-off when a game is delivered: a short-lived
+   token for that one code (audience "package"; login tokens carry none) */
+function packageTokenOk(req, code) {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token || !JWT_SECRET) return false;
+  try {
+    return jwt.verify(token, JWT_SECRET, { audience: "package" })?.code === code;
+  } catch {
+    return false;
+  }
+}
+
+function requireStaff(req) {
+  const user = authFromReq(req);
+  if (!user) throw Object.assign(new Error("Sign in required"), { status: 401 });
+  if (!STAFF_ROLES.has(user.role)) throw Object.assign(new Error("Staff only"), { status: 403 });
+  return user;
+}
+
+app.get("/package/:code", async (req, res) => {
+  try {
+    requireStaff(req);
+    if (!Packages) return res.status(503).json({ error: "Mongo unavailable" });
+    const doc = await Packages.findOne({ code: req.params.code }, { projection: { _id: 0 } });
+    res.json(doc || { code: req.params.code, status: "none" });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.status ? e.message : "Failed to load packaging state" });
+  }
+});
+
+// POST /package/:code   staff: (re)package a game's renditions;
+// the recording server: package a game it just delivered (once)
+app.post("/package/:code", async (req, res) => {
+  try {
+    const delivered = packageTokenOk(req, req.params.code);
+    if (!delivered) requireStaff(req);
+    if (!abrPackagingOn()) return res.status(503).json({ error: "Packaging is not configured (VIDEOS_BUCKET)" });
+    const source = resolveSource(req.params.code);
+    if (source.kind !== "r2") return res.status(400).json({ error: "Only R2 games can be packaged" });
+
+    const jobId = await startPackage(source.id, { force: !delivered });
+    if (!jobId) return res.status(409).json({ error: "This game is already being packaged" });
+    res.status(202).json({ status: "queued", jobId, progressUrl: `/progress/${jobId}` });
+  } catch (e) {
+    console.error("package route", e);
+    res.status(e.status || 500).json({ error: e.status ? e.message : "Failed to start packaging" });
+  }
+});
+
+/* ------------------------- Highlight suggestions ---------------------------- */
+/* GET /highlights/:code → { status: "ready", highlights: [{ time, start, end,
+   score, audio, motion }] }. The first request starts one analysis pass
+   (frame differences for motion, 1s audio levels; see highlights.js) and gets 202 with
+   Retry-After and the job's progressUrl, like /thumbs. Results are kept per
+   game in Mongo (highlights: {code,highlights,duration,createdAt}). Live games
+   are analysed once they finish. */
+const HIGHLIGHT_RETRY_MS = 5 * 60 * 1000;  // a failed analysis is not retried sooner
+const HIGHLIGHT_FPS = 4;                   // motion samples per second
+const highlightBuilds = new Map();         // code → { jobId, promise }
+const highlightFailures = new Map();       // code → failedAt
+
+async function analyseHighlights(code, jobId) {
+  const { source, input, live, boundaries } = await loadSource(code);
+  const duration = boundaries[boundaries.length - 1];
+  if (!duration) throw new Error("Playlist has no segments");
+  if (live) throw new Error("Highlights are found once the game has finished recording");
+  const withAudio = await probeHasAudio(input);
+
+  const release = await acquireRenderSlot(jobId);
+  const dir = path.join(os.tmpdir(), `hl_${crypto.randomUUID()}`);
+  try {
+    patchJob(jobId, { status: "running" });
+    await fs.promises.mkdir(dir, { recursive: true });
+    const audioLog = path.join(dir, "audio.txt"), motionLog = path.join(dir, "motion.txt");
+    // Every frame is decoded, then thinned to HIGHLIGHT_FPS before differencing,
+    // so a burst between keyframes (a shot, a celebration) still shows
+    const graph = [
+      `[0:v]fps=${HIGHLIGHT_FPS},scale=160:90,format=gray,tblend=all_mode=difference,signalstats,metadata=print:key=${MOTION_KEY}:file=${motionLog}[vo]`,
+      ...(withAudio ? [`[${audioIn(input)}]aresample=8000,asetnsamples=n=8000,astats=metadata=1:reset=1,ametadata=print:key=${AUDIO_KEY}:file=${audioLog}[ao]`] : []),
+    ];
+    const r = await runFfmpeg([
+      ...hlsInputArgs(input, 0),
+      "-filter_complex", graph.join(";"),
+      "-map","[vo]", ...(withAudio ? ["-map","[ao]"] : []),
+      "-f","null","-",
+    ], {
+      onProgress: (ms) => patchJob(jobId, { progress: { timeMs: ms, pct: Math.min(95, Math.round((ms / 1000 / duration) * 95)) } }),
+    });
+    if (r.code !== 0 || r.signal) throw new Error(r.errLog.trim() || `ffmpeg exited. code=${r.code} signal=${r.signal}`);
+
+    const read = (file, key) => fs.promises.readFile(file, "utf8").then(t => parseMetadataLog(t, key), () => []);
+    const highlights = pickHighlights({
+      audio: withAudio ? await read(audioLog, AUDIO_KEY) : [],
+      motion: await read(motionLog, MOTION_KEY),
+      duration,
+    });
+    await Highlights.updateOne(
+      { code: source.id },
+      { $set: { code: source.id, highlights, duration, createdAt: new Date() } },
+      { upsert: true },
+    );
+    endJob(jobId, "done");
+  } finally {
+    release();
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+function startHighlightAnalysis(code) {
+  const running = highlightBuilds.get(code);
+  if (running) return running.jobId;
+
+  const jobId = `highlights_${makeJobId()}`;
+  initJob(jobId, { status: "queued", mode: "highlights" });
+  const promise = analyseHighlights(code, jobId)
+    .catch((e) => {
+      console.error("highlights", code, e.message || e);
+      highlightFailures.set(code, Date.now());
+      endJob(jobId, "error", String(e.message || e).slice(0, 1800));
+    })
+    .finally(() => highlightBuilds.delete(code));
+  highlightBuilds.set(code, { jobId, promise });
+  return jobId;
+}
+
+app.get("/highlights/:code", async (req, res) => {
+  try {
+    const { code } = req.params;
+    if (!hasPlayback(req, code)) return res.status(403).json({ error: "playback token required" });
+    if (!Highlights) return res.status(503).json({ error: "Highlights unavailable" });
+
+    const id = sourceId(code);
+    const doc = await Highlights.findOne({ code: id }, { projection: { _id: 0 } });
+    if (doc) {
+      res.set("Cache-Control", "private, max-age=300");
+      return res.json({ status: "ready", highlights: doc.highlights, createdAt: doc.createdAt });
+    }
+
+    const failedAt = highlightFailures.get(id);
+    if (failedAt && Date.now() - failedAt < HIGHLIGHT_RETRY_MS) {
+      return res.status(404).json({ error: "No highlights for this game yet" });
+    }
+    highlightFailures.delete(id);
+    const jobId = startHighlightAnalysis(id);
+    res.set("Retry-After", "15").status(202).json({ status: "analysing", jobId, progressUrl: `/progress/${jobId}` });
+  } catch (e) {
+    console.error("highlights route", e);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to load highlights" });
+  }
+});
+
+clipWorkerLoop();
+requeueStaleJobs().catch(e => console.warn("requeue failed:", e.message));
+setInterval(() => requeueStaleJobs().catch(e => console.warn("requeue failed:", e.message)), 60_000).unref();
+setInterval(() => evictCache().catch(() => {}), 60 * 60 * 1000).unref();
+
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -0,0 +1,133 @@
+/* Where a game's HLS lives. One resolver serves the player (through GET
+   /resolve) and every clipper route, so these all play and clip alike:
+
+     mo2nes1                            R2 code      → BASE/videos/<code>/PLAYLIST
+     r2:<code>                          R2 code, explicitly
+     <32 hex>  or  stream:<uid>         Cloudflare Stream UID
+     <a.b.c>   or  stream:<token>       Stream signed token (stands in for the UID)
+     https://…cloudflarestream.com/<uid or token>/manifest/video.m3u8
+     https://<allowed host>/….m3u8      any playlist on SOURCE_ALLOWED_HOSTS
+
+   Only https URLs on known hosts are accepted, so the clipper never fetches
+   arbitrary addresses. Browsers also need a host in the site's CSP
+   (connect-src/media-src) before the player can load from it.
+
+   R2 games sit behind the video worker (deployed on its own, not from this
+   repo). Private games rely on it checking every playlist and segment request
+   under BASE for ?pt=<token> or an X-Playback-Token header: an HS256 JWT signed
+   with PLAYBACK_SECRET, audience "playback", and either
+     { scope: "playback", code }  the player's token, code = the <code> in /videos/<code>/
+     { scope: "origin" }          the clipper's own reads (any game)
+   Playlists it serves carry the same ?pt= on their segment URIs (Safari plays
+   them natively, without hls.js adding it). Without that check, a game's HLS
+   is public to anyone who knows its code. */
+
+const HEX32 = /^[a-f0-9]{32}$/i;
+const SIGNED = /^[\w-]+\.[\w-]+\.[\w-]+$/;   // JWT: Stream's signed-URL token
+const R2_CODE = /^[\w-]{1,64}$/;
+
+const bad = (msg, status = 400) => Object.assign(new Error(msg), { status });
+
+export function createSourceResolver({ base, playlist, streamCustomer, allowedHosts = [] }) {
+  const baseUrl = base ? new URL(base) : null;
+  const streamHosts = new Set([streamCustomer && `${streamCustomer}.cloudflarestream.com`, "videodelivery.net"].filter(Boolean));
+  const hosts = new Set(allowedHosts.map(h => h.trim().toLowerCase()).filter(Boolean));
+
+  function r2(code) {
+    if (!R2_CODE.test(code)) throw bad("Bad game code");
+    if (!baseUrl) throw bad("Server misconfigured: BASE is not set", 500);
+    return {
+      kind: "r2",
+      id: code,
+      url: `${base}/videos/${encodeURIComponent(code)}/${playlist}`,
+      label: code,
+      signPrefix: base, // the video worker's ?pt= check, above
+    };
+  }
+
+  function stream(id, url) {
+    const signed = !HEX32.test(id);
+    if (signed && !SIGNED.test(id)) throw bad("Bad Cloudflare Stream id");
+    if (!url && !streamCustomer) throw bad("Cloudflare Stream is not configured", 500);
+    return {
+      kind: signed ? "stream-signed" : "stream",
+      id,
+      url: url || `https://${streamCustomer}.cloudflarestream.com/${id}/manifest/video.m3u8`,
+      label: signed ? "stream" : id.slice(0, 12),
+      signPrefix: null,
+    };
+  }
+
+  return function resolveSource(raw) {
+    const v = String(raw || "").trim();
+    if (!v) throw bad("A game code, Stream UID or .m3u8 URL is required");
+
+    const prefixed = v.match(/^(r2|stream):(.+)$/);
+    if (prefixed) return prefixed[1] === "r2" ? r2(prefixed[2]) : stream(prefixed[2]);
+    if (HEX32.test(v) || SIGNED.test(v)) return stream(v);
+    if (R2_CODE.test(v)) return r2(v);
+
+    let u;
+    try { u = new URL(v); } catch { throw bad("Not a game code, Stream UID or .m3u8 URL"); }
+    if (baseUrl && u.origin === baseUrl.origin) {
+      const m = u.pathname.match(/^\/videos\/([^/]+)\//);
+      if (m) return r2(decodeURIComponent(m[1]));
+    }
+    if (u.protocol !== "https:") throw bad("Only https playlists are supported");
+    if (!/\.m3u8$/i.test(u.pathname)) throw bad("The URL must point at an .m3u8 playlist");
+    if (streamHosts.has(u.host)) {
+      const m = u.pathname.match(/^\/([^/]+)\/manifest\/video\.m3u8$/i);
+      if (m) return stream(m[1], u.toString());
+    }
+    if (hosts.has(u.host.toLowerCase())) {
+      return { kind: "url", id: v, url: u.toString(), label: "video", signPrefix: null };
+    }
+    throw bad(`Playlists from ${u.host} are not allowed`, 403);
+  };
+}
+
+/* ---- master playlists ---- */
+export const isMasterPlaylist = (text) => /^#EXT-X-STREAM-INF:/m.test(text);
+
+function attrList(s) {
+  return Object.fromEntries([...s.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)].map(m => [m[1], m[2].replace(/^"|"$/g, "")]));
+}
+
+// Relative URIs keep the playlist's query (e.g. a ?token=) when they have none
+function resolveUri(uri, baseUrl) {
+  const u = new URL(uri, baseUrl);
+  const b = new URL(baseUrl);
+  if (!u.search && b.search && u.host === b.host) u.search = b.search;
+  return u.toString();
+}
+
+/* Variants of a master playlist, best first: { video, audio, height,
+   bandwidth, resolution }. audio is the separate rendition for the variant's
+   AUDIO group (null when audio is muxed into the video playlist). */
+export function masterRenditions(text, baseUrl) {
+  const lines = text.split(/\r?\n/);
+  const audio = new Map(); // GROUP-ID → uri; DEFAULT=YES wins
+  const variants = [];
+  lines.forEach((line, i) => {
+    if (line.startsWith("#EXT-X-MEDIA:")) {
+      const a = attrList(line.slice(13));
+      if (a.TYPE === "AUDIO" && a.URI && (!audio.has(a["GROUP-ID"]) || a.DEFAULT === "YES")) {
+        audio.set(a["GROUP-ID"], resolveUri(a.URI, baseUrl));
+      }
+    } else if (line.startsWith("#EXT-X-STREAM-INF:")) {
+      const a = attrList(line.slice(18));
+      const uri = lines.slice(i + 1).find(l => l.trim() && !l.startsWith("#"));
+      if (!uri) return;
+      variants.push({
+        video: resolveUri(uri.trim(), baseUrl),
+        audioGroup: a.AUDIO,
+        bandwidth: Number(a.BANDWIDTH) || 0,
+        resolution: a.RESOLUTION || "",
+        height: Number((a.RESOLUTION || "").split("x")[1]) || 0,
+      });
+    }
+  });
+  return variants
+    .map(({ audioGroup, ...v }) => ({ ...v, audio: (audioGroup && audio.get(audioGroup)) || null }))
+    .sort((a, b) => b.height - a.height || b.bandwidth - a.bandwidth);
+}
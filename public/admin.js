@@ -0,0 +1,514 @@
+// --- helpers ------------------------------------------------------------
+const $ = (sel) => document.querySelector(sel);
+const msgBox = $("#msg");
+
+function showMsg(text, type = "ok") {
+  msgBox.textContent = text;
+  msgBox.classList.remove("hidden", "ok", "err");
+  msgBox.classList.add(type === "ok" ? "ok" : "err");
+}
+
+function hideMsg() {
+  msgBox.classList.add("hidden");
+}
+
+function normalizeIsraeliPhone(value) {
+  const compact = value.trim().replace(/[\s-]/g, "");
+
+  if (/^05\d{8}$/.test(compact)) {
+    return `+972${compact.slice(1)}`;
+  }
+
+  if (/^\+?9725\d{8}$/.test(compact)) {
+    return compact.startsWith("+") ? compact : `+${compact}`;
+  }
+
+  return null;
+}
+
+function setLoading(btn, loading) {
+  btn.disabled = loading;
+  btn.textContent = loading ? "Please wait…" : btn.dataset.label;
+}
+
+function jwtClaims(value) {
+  try {
+    return JSON.parse(atob(value.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+  } catch {
+    return null;
+  }
+}
+
+function formatDate(value) {
+  if (!value) return "—";
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleString(undefined, { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+}
+
+function formatTtl(sec) {
+  if (!Number.isFinite(sec) || sec < 0) return "no expiry";
+  return sec >= 60 ? `${Math.round(sec / 60)} min left` : `${sec}s left`;
+}
+
+function el(tag, props = {}, children = []) {
+  const node = Object.assign(document.createElement(tag), props);
+  for (const child of children) node.appendChild(typeof child === "string" ? document.createTextNode(child) : child);
+  return node;
+}
+
+// --- API routes ---------------------------------------------------------
+// Same as record.js: /auth/* and /admin/* are routed to api/index.js by Vercel.
+const API_PREFIX = "";
+
+function api(path, opts = {}) {
+  const url = `${API_PREFIX}${path}`;
+  const headers = { ...(opts.headers || {}), ...(token ? { Authorization: "Bearer " + token } : {}) };
+  return fetch(url, { ...opts, headers });
+}
+
+// --- state --------------------------------------------------------------
+// Shared with the player pages; only staff roles get past /admin/*.
+const TOKEN_KEY = "fision.token";
+const STAFF_ROLES = ["staff", "admin"];
+const REFRESH_MS = 15000;
+
+let token = null;
+let sentPhone = null;
+let cameraFilter = null;
+let refreshTimer = null;
+
+const phoneEl = $("#phone");
+const codeEl = $("#code");
+const sendBtn = $("#send");
+const verifyBtn = $("#verify");
+const camsEl = $("#cams");
+const recsEl = $("#recs");
+const templatesEl = $("#templates");
+
+sendBtn.dataset.label = "Send verification code";
+verifyBtn.dataset.label = "Verify";
+
+function setToken(value) {
+  const claims = value ? jwtClaims(value) : null;
+  const valid = !!claims && (!claims.exp || claims.exp * 1000 > Date.now());
+  token = valid ? value : null;
+
+  try {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+  } catch {}
+
+  const staff = !!token && STAFF_ROLES.includes(claims.role);
+  $("#login").classList.toggle("hidden", staff);
+  $("#console").classList.toggle("hidden", !staff);
+  $("#who").textContent = staff ? claims.phone : "";
+
+  clearInterval(refreshTimer);
+  refreshTimer = staff ? setInterval(refresh, REFRESH_MS) : null;
+
+  if (token && !staff) {
+    showMsg("This number has no staff access.", "err");
+  }
+
+  return staff;
+}
+
+function handleAuthFailure(res) {
+  if (res.status === 401 || res.status === 403) {
+    setToken(null);
+    showMsg("Please sign in again with a staff number.", "err");
+    return true;
+  }
+  return false;
+}
+
+// --- rendering ----------------------------------------------------------
+function cameraState(cam) {
+  if (!cam.status) return { text: "No status URL", cls: "grey" };
+  if (cam.status.error) return { text: "Unreachable", cls: "red" };
+  if (cam.status.recording) return { text: "Recording", cls: "" };
+  if (cam.booking) return { text: "Booked", cls: "grey" };
+  return cam.status.available ? { text: "Available", cls: "" } : { text: "Reserved", cls: "grey" };
+}
+
+function renderCameras(cameras) {
+  camsEl.innerHTML = "";
+
+  if (!cameras.length) {
+    camsEl.appendChild(el("div", { className: "muted", textContent: "No cameras seen yet." }));
+    return;
+  }
+
+  for (const cam of cameras) {
+    const state = cameraState(cam);
+    const card = el("div", { className: "cam" }, [
+      el("div", { className: "head" }, [
+        el("span", { className: "id", textContent: cam.name ? `${cam.name} (${cam.cameraId})` : cam.cameraId }),
+        el("span", { className: `pill ${state.cls}`, textContent: state.text })
+      ])
+    ]);
+
+    if (cam.pitch) card.appendChild(el("div", { className: "muted", textContent: cam.pitch }));
+
+    card.appendChild(el("div", {
+      className: "line",
+      textContent: cam.lock
+        ? `Lock: ${cam.lock.phone || cam.lock.owner} · ${formatTtl(cam.lock.ttl)}`
+        : "Lock: free"
+    }));
+    card.appendChild(el("div", {
+      className: "line",
+      textContent: cam.requestLock ? `Start request in flight · ${formatTtl(cam.requestLock.ttl)}` : "No start request in flight"
+    }));
+    if (cam.booking) {
+      card.appendChild(el("div", {
+        className: "line",
+        textContent: `Booked ${formatDate(cam.booking.start)} – ${formatDate(cam.booking.end)}`
+      }));
+    }
+    if (cam.latest) {
+      card.appendChild(el("div", {
+        className: "muted",
+        textContent: `Last: ${cam.latest.status} · ${formatDate(cam.latest.requestedAt)}`
+      }));
+    }
+
+    const stop = el("button", { type: "button", className: "danger", textContent: "Force stop" });
+    stop.onclick = () => forceStop(cam.cameraId, stop);
+
+    const release = el("button", { type: "button", textContent: "Release request lock", disabled: !cam.requestLock });
+    release.onclick = () => releaseRequestLock(cam.cameraId, release);
+
+    const label = el("button", { type: "button", textContent: "Rename" });
+    label.onclick = () => renameCamera(cam);
+
+    const recent = el("button", { type: "button", textContent: "Recordings" });
+    recent.onclick = () => {
+      cameraFilter = cameraFilter === cam.cameraId ? null : cam.cameraId;
+      loadRecordings();
+    };
+
+    card.appendChild(el("div", { className: "actions" }, [stop, release, label, recent]));
+    camsEl.appendChild(card);
+  }
+}
+
+function renderRecordings(recordings) {
+  recsEl.innerHTML = "";
+  $("#recFilter").textContent = cameraFilter ? `· camera ${cameraFilter}` : "";
+
+  for (const r of recordings) {
+    const history = (r.history || [])
+      .map(h => `${formatDate(h.at)} ${h.status}${h.note ? ` (${h.note})` : ""}`)
+      .join(" → ");
+    const sms = r.smsStatus
+      ? `${r.smsStatus}${r.deliveryLog?.length ? ` · ${r.deliveryLog.length} tries` : ""}`
+      : "—";
+
+    const code = el("td", { textContent: r.videoCode || "—" });
+    if (r.videoCode) {
+      const pack = el("button", { type: "button", textContent: "Package", title: "Re-build the 1080p/720p/480p renditions" });
+      pack.onclick = () => packageGame(r.videoCode, pack);
+      code.appendChild(el("div", { className: "toolbar" }, [pack]));
+    }
+
+    recsEl.appendChild(el("tr", {}, [
+      el("td", { textContent: formatDate(r.requestedAt) }),
+      el("td", { textContent: r.cameraId }),
+      el("td", { textContent: r.phone || "—" }),
+      el("td", { textContent: r.failureReason ? `${r.status}: ${r.failureReason}` : r.status }),
+      code,
+      el("td", { textContent: sms }),
+      el("td", { className: "hist", textContent: history })
+    ]));
+  }
+}
+
+function renderTemplates(templates) {
+  templatesEl.innerHTML = "";
+
+  if (!templates.length) {
+    templatesEl.appendChild(el("tr", {}, [
+      el("td", { colSpan: 5, className: "hist", textContent: "No templates yet — clips use the site logo and the venue name." })
+    ]));
+    return;
+  }
+
+  for (const t of templates) {
+    const edit = el("button", { type: "button", textContent: "Edit" });
+    edit.onclick = () => editTemplate(t);
+    const remove = el("button", { type: "button", textContent: "Delete" });
+    remove.onclick = () => deleteTemplate(t.venue);
+
+    templatesEl.appendChild(el("tr", {}, [
+      el("td", { textContent: t.venue }),
+      el("td", { textContent: t.title && t.titleSec ? `${t.title} · ${t.titleSec}s` : "—" }),
+      el("td", { className: "hist", textContent: `${t.logoUrl || "site logo"} · ${t.logoCorner}` }),
+      el("td", { textContent: t.showDate ? "Yes" : "No" }),
+      el("td", { className: "toolbar" }, [edit, remove])
+    ]));
+  }
+}
+
+// --- data ---------------------------------------------------------------
+async function loadCameras() {
+  const res = await api("/admin/cameras");
+  if (handleAuthFailure(res)) return;
+  if (!res.ok) {
+    showMsg("Could not load cameras.", "err");
+    return;
+  }
+  const data = await res.json().catch(() => ({}));
+  renderCameras(data.cameras || []);
+  $("#updated").textContent = `Updated ${new Date().toLocaleTimeString()}`;
+}
+
+async function loadRecordings() {
+  const query = cameraFilter ? `?cameraId=${encodeURIComponent(cameraFilter)}` : "";
+  const res = await api(`/admin/recordings${query}`);
+  if (handleAuthFailure(res)) return;
+  if (!res.ok) {
+    showMsg("Could not load recordings.", "err");
+    return;
+  }
+  const data = await res.json().catch(() => ({}));
+  renderRecordings(data.recordings || []);
+}
+
+async function loadTemplates() {
+  const res = await api("/admin/overlay-templates");
+  if (handleAuthFailure(res)) return;
+  if (!res.ok) {
+    showMsg("Could not load clip templates.", "err");
+    return;
+  }
+  const data = await res.json().catch(() => ({}));
+  renderTemplates(data.templates || []);
+}
+
+async function refresh() {
+  if (!token) return;
+  try {
+    await Promise.all([loadCameras(), loadRecordings(), loadTemplates()]);
+  } catch {
+    showMsg("Could not reach the server.", "err");
+  }
+}
+
+// --- actions ------------------------------------------------------------
+async function forceStop(cameraId, btn) {
+  if (!confirm(`Stop the recording on camera ${cameraId}? The player will not be able to resume it.`)) return;
+  hideMsg();
+  btn.disabled = true;
+
+  try {
+    const res = await api(`/admin/cameras/${encodeURIComponent(cameraId)}/force-stop`, { method: "POST" });
+    if (handleAuthFailure(res)) return;
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      showMsg(data.error || "Could not stop the camera.", "err");
+      return;
+    }
+    showMsg(`Camera ${cameraId} stopped.`, "ok");
+  } catch {
+    showMsg("Could not stop the camera.", "err");
+  } finally {
+    btn.disabled = false;
+    refresh();
+  }
+}
+
+async function releaseRequestLock(cameraId, btn) {
+  hideMsg();
+  btn.disabled = true;
+
+  try {
+    const res = await api(`/admin/cameras/${encodeURIComponent(cameraId)}/request-lock`, { method: "DELETE" });
+    if (handleAuthFailure(res)) return;
+    if (!res.ok) {
+      showMsg("Could not release the request lock.", "err");
+      return;
+    }
+    showMsg(`Request lock on ${cameraId} released.`, "ok");
+  } catch {
+    showMsg("Could not release the request lock.", "err");
+  } finally {
+    refresh();
+  }
+}
+
+// Games are packaged for adaptive playback on first view; this re-runs it.
+async function packageGame(videoCode, btn) {
+  hideMsg();
+  btn.disabled = true;
+
+  try {
+    const res = await api(`/api/package/${encodeURIComponent(videoCode)}`, { method: "POST" });
+    if (handleAuthFailure(res)) return;
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      showMsg(data.error || "Could not start packaging.", "err");
+      return;
+    }
+    showMsg(`Packaging ${videoCode} — the player switches to adaptive quality when it finishes.`, "ok");
+  } catch {
+    showMsg("Could not start packaging.", "err");
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function renameCamera(cam) {
+  const name = prompt(`Name for camera ${cam.cameraId}`, cam.name || "");
+  if (name === null) return;
+  const pitch = prompt("Pitch / venue", cam.pitch || "");
+  if (pitch === null) return;
+
+  try {
+    const res = await api(`/admin/cameras/${encodeURIComponent(cam.cameraId)}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, pitch })
+    });
+    if (handleAuthFailure(res)) return;
+    if (!res.ok) showMsg("Could not save the camera name.", "err");
+  } catch {
+    showMsg("Could not save the camera name.", "err");
+  } finally {
+    refresh();
+  }
+}
+
+async function editTemplate(t = {}) {
+  const venue = t.venue || prompt("Venue (a camera's pitch label, or \"default\")", "default");
+  if (!venue) return;
+  const title = prompt("Title card text ({venue}, {date} allowed; empty for none)", t.title ?? "{venue}");
+  if (title === null) return;
+  const titleSec = prompt("Title card seconds (0–10)", String(t.titleSec ?? 3));
+  if (titleSec === null) return;
+  const logoUrl = prompt("Logo URL (https, PNG; empty for the site logo)", t.logoUrl || "");
+  if (logoUrl === null) return;
+  const showDate = confirm("Show the date and time on clips? (Cancel = no)");
+
+  try {
+    const res = await api(`/admin/overlay-templates/${encodeURIComponent(venue)}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...t, title, titleSec: Number(titleSec), logoUrl, showDate })
+    });
+    if (handleAuthFailure(res)) return;
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) showMsg(data.error || "Could not save the template.", "err");
+  } catch {
+    showMsg("Could not save the template.", "err");
+  } finally {
+    loadTemplates().catch(() => {});
+  }
+}
+
+async function deleteTemplate(venue) {
+  if (!confirm(`Delete the clip template for ${venue}?`)) return;
+
+  try {
+    const res = await api(`/admin/overlay-templates/${encodeURIComponent(venue)}`, { method: "DELETE" });
+    if (handleAuthFailure(res)) return;
+    if (!res.ok) showMsg("Could not delete the template.", "err");
+  } catch {
+    showMsg("Could not delete the template.", "err");
+  } finally {
+    loadTemplates().catch(() => {});
+  }
+}
+
+sendBtn.onclick = async () => {
+  hideMsg();
+
+  const phone = normalizeIsraeliPhone(phoneEl.value);
+
+  if (!phone) {
+    showMsg("Enter a valid Israeli mobile number.", "err");
+    return;
+  }
+
+  setLoading(sendBtn, true);
+
+  try {
+    const r = await api("/auth/send-otp", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ phone })
+    });
+
+    if (!r.ok) {
+      showMsg(r.status === 429 ? "Please wait a minute before requesting another code." : "Could not send the code.", "err");
+      return;
+    }
+
+    sentPhone = phone;
+    phoneEl.disabled = true;
+    $("#step2").classList.remove("hidden");
+    showMsg("Code sent. Check your SMS.", "ok");
+  } catch {
+    showMsg("Could not send the code.", "err");
+  } finally {
+    setLoading(sendBtn, false);
+  }
+};
+
+verifyBtn.onclick = async () => {
+  hideMsg();
+
+  const code = codeEl.value.trim();
+
+  if (!sentPhone || !code) {
+    showMsg("Enter the code you received.", "err");
+    return;
+  }
+
+  setLoading(verifyBtn, true);
+
+  try {
+    const res = await api("/auth/verify-otp", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ phone: sentPhone, code })
+    });
+
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok || !data.token) {
+      showMsg("That code didn’t work.", "err");
+      return;
+    }
+
+    codeEl.value = "";
+    if (setToken(data.token)) await refresh();
+  } catch {
+    showMsg("That code didn’t work.", "err");
+  } finally {
+    setLoading(verifyBtn, false);
+  }
+};
+
+$("#refresh").onclick = refresh;
+$("#addTemplate").onclick = () => editTemplate();
+
+$("#signOut").onclick = (e) => {
+  e.preventDefault();
+  hideMsg();
+  sentPhone = null;
+  phoneEl.disabled = false;
+  $("#step2").classList.add("hidden");
+  setToken(null);
+};
+
+let stored = null;
+try {
+  stored = localStorage.getItem(TOKEN_KEY);
+} catch {}
+if (setToken(stored)) refresh();
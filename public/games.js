@@ -0,0 +1,334 @@
+// --- helpers ------------------------------------------------------------
+const $ = (sel) => document.querySelector(sel);
+const msgBox = $("#msg");
+
+function showMsg(text, type = "ok") {
+  msgBox.textContent = text;
+  msgBox.classList.remove("hidden", "ok", "err");
+  msgBox.classList.add(type === "ok" ? "ok" : "err");
+}
+
+function hideMsg() {
+  msgBox.classList.add("hidden");
+}
+
+function normalizeIsraeliPhone(value) {
+  const compact = value.trim().replace(/[\s-]/g, "");
+
+  if (/^05\d{8}$/.test(compact)) {
+    return `+972${compact.slice(1)}`;
+  }
+
+  if (/^\+?9725\d{8}$/.test(compact)) {
+    return compact.startsWith("+") ? compact : `+${compact}`;
+  }
+
+  return null;
+}
+
+function setLoading(btn, loading) {
+  btn.disabled = loading;
+  btn.textContent = loading ? "Please wait…" : btn.dataset.label;
+}
+
+function jwtClaims(value) {
+  try {
+    return JSON.parse(atob(value.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+  } catch {
+    return null;
+  }
+}
+
+function formatDate(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return "Unknown date";
+  return d.toLocaleString(undefined, { weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+}
+
+function formatDuration(sec) {
+  if (!Number.isFinite(sec) || sec <= 0) return "";
+  const m = Math.round(sec / 60);
+  return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m} min`;
+}
+
+// --- API routes ---------------------------------------------------------
+// Same as record.js: /auth/* and /me/* are routed to api/index.js by Vercel.
+const API_PREFIX = "";
+
+function api(path, opts) {
+  const url = `${API_PREFIX}${path}`;
+  return fetch(url, opts);
+}
+
+// --- state --------------------------------------------------------------
+// Shared with watch.js so signing in on either page carries over.
+const TOKEN_KEY = "fision.token";
+
+const STATUS_LABELS = {
+  requested: "Requested",
+  active: "Recording",
+  stopped: "Processing",
+  delivered: "Ready",
+  failed: "Failed"
+};
+
+const VISIBILITY_LABELS = {
+  public: "Anyone with the code",
+  link: "Only with my link",
+  owner: "Only me"
+};
+
+let token = null;
+let sentPhone = null;
+
+const phoneEl = $("#phone");
+const codeEl = $("#code");
+const sendBtn = $("#send");
+const verifyBtn = $("#verify");
+const gamesEl = $("#games");
+
+sendBtn.dataset.label = "Send verification code";
+verifyBtn.dataset.label = "Verify";
+
+function setToken(value) {
+  const exp = value ? jwtClaims(value)?.exp : null;
+  token = value && (!exp || exp * 1000 > Date.now()) ? value : null;
+
+  try {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+  } catch {}
+
+  $("#login").classList.toggle("hidden", !!token);
+  $("#list").classList.toggle("hidden", !token);
+  $("#who").textContent = token ? jwtClaims(token)?.phone || "" : "";
+}
+
+function watchHref(it) {
+  const key = it.key ? `&key=${encodeURIComponent(it.key)}` : "";
+  return `watch.html?code=${encodeURIComponent(it.code)}${key}`;
+}
+
+async function updateVisibility(it, visibility, select) {
+  select.disabled = true;
+
+  try {
+    const res = await api(`/me/recordings/${encodeURIComponent(it.id)}`, {
+      method: "PATCH",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ visibility })
+    });
+
+    if (!res.ok) {
+      select.value = it.visibility;
+      showMsg("We couldn’t change who can watch this game. Please try again.", "err");
+      return;
+    }
+
+    it.visibility = visibility;
+    showMsg(`Saved: ${VISIBILITY_LABELS[visibility].toLowerCase()} can watch this game.`, "ok");
+  } catch {
+    select.value = it.visibility;
+    showMsg("We couldn’t change who can watch this game. Please try again.", "err");
+  } finally {
+    select.disabled = false;
+  }
+}
+
+async function copyLink(it) {
+  try {
+    await navigator.clipboard.writeText(new URL(watchHref(it), location.href).toString());
+    showMsg("Link copied. Anyone you send it to can watch unless the game is set to “Only me”.", "ok");
+  } catch {
+    showMsg("Could not copy the link. Long-press “Watch” to copy it instead.", "err");
+  }
+}
+
+function renderGames(items) {
+  gamesEl.innerHTML = "";
+
+  if (!items.length) {
+    const empty = document.createElement("div");
+    empty.className = "muted";
+    empty.textContent = "No recordings for this number yet.";
+    gamesEl.appendChild(empty);
+    return;
+  }
+
+  for (const it of items) {
+    const row = document.createElement("div");
+    row.className = "game";
+
+    const info = document.createElement("div");
+    info.className = "info";
+
+    const when = document.createElement("div");
+    when.className = "when";
+    when.textContent = formatDate(it.date);
+
+    const meta = document.createElement("div");
+    meta.className = "muted";
+    meta.textContent = [`Camera ${it.cameraId}`, formatDuration(it.duration)].filter(Boolean).join(" · ");
+
+    info.appendChild(when);
+    info.appendChild(meta);
+    row.appendChild(info);
+
+    if (it.code) {
+      const visibility = document.createElement("select");
+      for (const [value, label] of Object.entries(VISIBILITY_LABELS)) {
+        visibility.appendChild(Object.assign(document.createElement("option"), { value, textContent: label }));
+      }
+      visibility.value = it.visibility || "public";
+      visibility.onchange = () => updateVisibility(it, visibility.value, visibility);
+      info.appendChild(visibility);
+
+      const copy = Object.assign(document.createElement("button"), { type: "button", className: "ghost", textContent: "Copy link" });
+      copy.onclick = () => copyLink(it);
+      row.appendChild(copy);
+
+      const watch = document.createElement("a");
+      watch.href = watchHref(it);
+      watch.textContent = "Watch";
+      row.appendChild(watch);
+    } else {
+      const pill = document.createElement("span");
+      pill.className = "pill " + (it.status === "failed" ? "red" : "grey");
+      pill.textContent = STATUS_LABELS[it.status] || it.status;
+      row.appendChild(pill);
+    }
+
+    gamesEl.appendChild(row);
+  }
+}
+
+async function loadGames() {
+  if (!token) return;
+
+  try {
+    const res = await api("/me/recordings", {
+      headers: { Authorization: "Bearer " + token }
+    });
+
+    if (res.status === 401) {
+      setToken(null);
+      showMsg("Your sign-in expired. Please verify your phone again.", "err");
+      return;
+    }
+
+    if (!res.ok) {
+      showMsg("We couldn’t load your games right now. Please try again shortly.", "err");
+      return;
+    }
+
+    const data = await res.json().catch(() => ({}));
+    renderGames(data.recordings || []);
+  } catch {
+    showMsg("We couldn’t load your games right now. Please try again shortly.", "err");
+  }
+}
+
+// --- actions ------------------------------------------------------------
+sendBtn.onclick = async () => {
+  hideMsg();
+
+  const phone = normalizeIsraeliPhone(phoneEl.value);
+
+  if (!phone) {
+    showMsg("Enter a valid Israeli mobile number, for example 054-919-5229.", "err");
+    return;
+  }
+
+  setLoading(sendBtn, true);
+
+  try {
+    const r = await api("/auth/send-otp", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ phone })
+    });
+
+    if (!r.ok) {
+      showMsg(
+        r.status === 429
+          ? "Please wait a minute before requesting another code."
+          : "We couldn’t send the verification code. Please check your phone number and try again.",
+        "err"
+      );
+      return;
+    }
+
+    sentPhone = phone;
+    phoneEl.disabled = true;
+    $("#step2").classList.remove("hidden");
+    showMsg("Code sent. Check your SMS.", "ok");
+  } catch {
+    showMsg("We couldn’t send the verification code. Please check your phone number and try again.", "err");
+  } finally {
+    setLoading(sendBtn, false);
+  }
+};
+
+verifyBtn.onclick = async () => {
+  hideMsg();
+
+  const code = codeEl.value.trim();
+
+  if (!sentPhone) {
+    showMsg("Send the verification code first.", "err");
+    return;
+  }
+
+  if (!code) {
+    showMsg("Enter the code you received.", "err");
+    return;
+  }
+
+  setLoading(verifyBtn, true);
+
+  try {
+    const res = await api("/auth/verify-otp", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ phone: sentPhone, code })
+    });
+
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok || !data.token) {
+      showMsg("That code didn’t work. Please check the SMS and try again.", "err");
+      return;
+    }
+
+    codeEl.value = "";
+    setToken(data.token);
+    await loadGames();
+  } catch {
+    showMsg("That code didn’t work. Please check the SMS and try again.", "err");
+  } finally {
+    setLoading(verifyBtn, false);
+  }
+};
+
+$("#signOut").onclick = (e) => {
+  e.preventDefault();
+  hideMsg();
+  sentPhone = null;
+  phoneEl.disabled = false;
+  $("#step2").classList.add("hidden");
+  setToken(null);
+};
+
+try {
+  setToken(localStorage.getItem(TOKEN_KEY));
+} catch {
+  setToken(null);
+}
+loadGames();
@@ -32,6 +32,14 @@ function setLoading(btn, loading) {
 }
 
 function customerError(action, status) {
+  if (action === "stop" && status === 403) {
+    return "Only the player who started this recording can stop it.";
+  }
+
+  if (action === "stop" && status === 400) {
+    return "There is no active recording to stop.";
+  }
+
   if (status === 401 || status === 403) {
     return "Please verify your phone again, then try once more.";
   }
@@ -44,6 +52,10 @@ function customerError(action, status) {
     return "Your recording request is already being processed. Please wait a moment.";
   }
 
+  if (action === "book" && status === 429) {
+    return "You already have the maximum number of upcoming bookings.";
+  }
+
   if (status === 429) {
     return "Please wait a minute before requesting another code.";
   }
@@ -68,6 +80,22 @@ function customerError(action, status) {
     return "We couldn’t start the recording. Please try again or ask the staff for help.";
   }
 
+  if (action === "stop") {
+    return "We couldn’t stop the recording. Please try again or ask the staff for help.";
+  }
+
+  if (action === "book" && status === 409) {
+    return "That time overlaps another booking. Please pick a different time.";
+  }
+
+  if (action === "book" && status === 400) {
+    return "Pick a future start time within the next two weeks.";
+  }
+
+  if (action === "book") {
+    return "We couldn’t book the camera. Please try again or ask the staff for help.";
+  }
+
   return "Something went wrong. Please try again.";
 }
 
@@ -98,17 +126,36 @@ const codeEl = $("#code");
 const sendBtn = $("#send");
 const verifyBtn = $("#verify");
 const startBtn = $("#start");
+const stopBtn = $("#stop");
+const bookBtn = $("#book");
+const bookStartEl = $("#bookStart");
+const bookLengthEl = $("#bookLength");
+const slotsEl = $("#slots");
 const outEl = $("#out");
 const pill = $("#statusPill");
 const copyNumberBtn = $("#copyNumber");
 const copyStatus = $("#copyStatus");
+const watchLiveEl = $("#watchLive");
 
 let statusCheckPending = false;
 let startRequestPending = false;
+let stopRequestPending = false;
+let heartbeatTimer = null;
+
+const HEARTBEAT_MS = 20000;
+const RECORDING_LABELS = {
+  requested: "Requested",
+  active: "Recording",
+  stopped: "Stopped",
+  delivered: "Video ready",
+  failed: "Failed"
+};
 
 sendBtn.dataset.label = "Send verification code";
 verifyBtn.dataset.label = "Verify";
 startBtn.dataset.label = "Start Recording";
+stopBtn.dataset.label = "Stop Recording";
+bookBtn.dataset.label = "Book this camera";
 
 copyNumberBtn.onclick = async () => {
   try {
@@ -128,6 +175,12 @@ if (!cameraId) {
   );
 }
 
+// The game being recorded on this camera can be watched while it runs.
+function showLiveLink(url) {
+  watchLiveEl.classList.toggle("hidden", !url);
+  if (url) watchLiveEl.href = url;
+}
+
 function reservationMessage(until) {
   const match = typeof until === "string" ? until.match(/(\d{2}:\d{2})$/) : null;
 
@@ -149,6 +202,7 @@ async function checkAvailability(showBusyMessage = true) {
     }
 
     const status = await res.json().catch(() => ({}));
+    showLiveLink(status.liveUrl);
 
     if (status.available === false) {
       startBtn.disabled = true;
@@ -186,6 +240,130 @@ async function checkAvailability(showBusyMessage = true) {
   }
 }
 
+async function heartbeat() {
+  if (!token) return;
+
+  try {
+    const res = await api("/record/heartbeat", {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({})
+    });
+
+    if (!res.ok) return;
+
+    const data = await res.json().catch(() => ({}));
+    const status = data.recording?.status;
+    showLiveLink(data.liveUrl);
+
+    if (!status || !RECORDING_LABELS[status]) return;
+
+    pill.textContent = RECORDING_LABELS[status];
+    pill.classList.remove("hidden");
+    pill.classList.toggle("red", status === "failed");
+
+    if (status === "failed") {
+      showMsg("The camera did not record this session. Please ask the staff for help.", "err");
+    }
+
+    if (status !== "requested" && status !== "active") {
+      stopBtn.classList.add("hidden");
+    }
+
+    if (status === "delivered" || status === "failed") {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  } catch {
+    // keep polling; the next heartbeat may succeed
+  }
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+}
+
+function formatSlot(start, end) {
+  const s = new Date(start);
+  const e = new Date(end);
+  const day = s.toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short" });
+  const time = (d) => d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  return `${day} ${time(s)}–${time(e)}`;
+}
+
+async function loadBookings() {
+  if (!cameraId) return;
+
+  try {
+    const res = await api(`/bookings?cameraId=${encodeURIComponent(cameraId)}`, {
+      headers: token ? { Authorization: "Bearer " + token } : {}
+    });
+
+    if (!res.ok) return;
+
+    const data = await res.json().catch(() => ({}));
+    const bookings = data.bookings || [];
+    slotsEl.innerHTML = "";
+
+    if (!bookings.length) {
+      slotsEl.innerHTML = '<div class="muted">No bookings yet on this camera.</div>';
+      return;
+    }
+
+    for (const b of bookings) {
+      const row = document.createElement("div");
+      row.className = "slot";
+
+      const when = document.createElement("span");
+      when.className = "when";
+      when.textContent = formatSlot(b.start, b.end);
+      row.appendChild(when);
+
+      const tag = document.createElement("span");
+      tag.className = "pill" + (b.mine ? "" : " red");
+      tag.textContent = b.mine ? "Yours" : "Taken";
+      row.appendChild(tag);
+
+      if (b.mine && b.status === "booked") {
+        const cancel = document.createElement("button");
+        cancel.type = "button";
+        cancel.textContent = "Cancel";
+        cancel.onclick = () => cancelBooking(b.id);
+        row.appendChild(cancel);
+      }
+
+      slotsEl.appendChild(row);
+    }
+  } catch {
+    // the list is informational; booking itself reports conflicts
+  }
+}
+
+async function cancelBooking(id) {
+  hideMsg();
+
+  try {
+    const res = await api(`/bookings/${encodeURIComponent(id)}`, {
+      method: "DELETE",
+      headers: { Authorization: "Bearer " + token }
+    });
+
+    if (!res.ok) {
+      showMsg("We couldn’t cancel this booking. It may have already started.", "err");
+    } else {
+      showMsg("Booking canceled.", "ok");
+    }
+  } catch {
+    showMsg("We couldn’t cancel this booking. Please try again.", "err");
+  } finally {
+    await loadBookings();
+  }
+}
+
 // --- actions ------------------------------------------------------------
 sendBtn.onclick = async () => {
   hideMsg();
@@ -271,6 +449,8 @@ verifyBtn.onclick = async () => {
 
     token = data.token;
     $("#controls").classList.remove("hidden");
+    $("#booking").classList.remove("hidden");
+    loadBookings();
     showMsg("You’re verified. Start recording when you’re ready.", "ok");
 
     await checkAvailability(true);
@@ -322,6 +502,9 @@ startBtn.onclick = async () => {
       pill.textContent = "Requested";
       pill.classList.remove("hidden", "red");
       startBtn.classList.add("hidden");
+      stopBtn.classList.remove("hidden");
+
+      startHeartbeat();
     }
   } catch {
     outEl.textContent = "";
@@ -332,4 +515,92 @@ startBtn.onclick = async () => {
   }
 };
 
-checkAvailability(true);
\ No newline at end of file
+stopBtn.onclick = async () => {
+  if (!token) {
+    showMsg("Please verify your phone first.", "err");
+    return;
+  }
+
+  if (stopRequestPending) return;
+
+  stopRequestPending = true;
+  setLoading(stopBtn, true);
+
+  try {
+    const res = await api("/record/stop", {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({})
+    });
+
+    await res.text().catch(() => "");
+
+    if (!res.ok) {
+      showMsg(customerError("stop", res.status), "err");
+      return;
+    }
+
+    showMsg("Recording stopped. Your video will be sent after the game.", "ok");
+    pill.textContent = RECORDING_LABELS.stopped;
+    pill.classList.remove("hidden", "red");
+    stopBtn.classList.add("hidden");
+  } catch {
+    showMsg(customerError("stop"), "err");
+  } finally {
+    stopRequestPending = false;
+    setLoading(stopBtn, false);
+  }
+};
+
+checkAvailability(true);
+
+bookBtn.onclick = async () => {
+  hideMsg();
+
+  if (!token) {
+    showMsg("Please verify your phone first.", "err");
+    return;
+  }
+
+  const start = new Date(bookStartEl.value);
+
+  if (!bookStartEl.value || Number.isNaN(start.getTime())) {
+    showMsg("Pick a start time for your booking.", "err");
+    return;
+  }
+
+  const end = new Date(start.getTime() + Number(bookLengthEl.value) * 60000);
+
+  setLoading(bookBtn, true);
+
+  try {
+    const res = await api("/bookings", {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        cameraId,
+        start: start.toISOString(),
+        end: end.toISOString()
+      })
+    });
+
+    if (!res.ok) {
+      showMsg(customerError("book", res.status), "err");
+      return;
+    }
+
+    showMsg(`Booked for ${formatSlot(start, end)}. The camera will start by itself.`, "ok");
+    bookStartEl.value = "";
+  } catch {
+    showMsg(customerError("book"), "err");
+  } finally {
+    setLoading(bookBtn, false);
+    await loadBookings();
+  }
+};
\ No newline at end of file
@@ -1,7 +1,3 @@
-// =================== Config (R2 worker base) ===================
-const HLS_BASE = 'https://fision-videos-worker.myfisionupload.workers.dev';
-const PLAYLIST = 'stream_0.m3u8';
-
 // =================== Elements ===================
 const els = {
   code: document.getElementById('code'),
@@ -9,6 +5,15 @@ const els = {
   vid: document.getElementById('vid'),
   tNow: document.getElementById('tNow'),
   tDur: document.getElementById('tDur'),
+  quality: document.getElementById('quality'),
+  liveBadge: document.getElementById('liveBadge'),
+  timeline: document.getElementById('timeline'),
+  timelinePlayed: document.getElementById('timelinePlayed'),
+  thumbPreview: document.getElementById('thumbPreview'),
+  thumbImg: document.getElementById('thumbImg'),
+  thumbTime: document.getElementById('thumbTime'),
+  highlightsRow: document.getElementById('highlightsRow'),
+  highlightList: document.getElementById('highlightList'),
   setA: document.getElementById('setA'),
   setB: document.getElementById('setB'),
   valA: document.getElementById('valA'),
@@ -16,6 +21,24 @@ const els = {
   preview: document.getElementById('previewBtn'),
   cancelPreview: document.getElementById('cancelPreviewBtn'),
   download: document.getElementById('downloadBtn'),
+  fileType: document.getElementById('fileType'),
+  snapshot: document.getElementById('snapshotBtn'),
+  exactCut: document.getElementById('exactCut'),
+  exportFormat: document.getElementById('exportFormat'),
+  followPan: document.getElementById('followPan'),
+  fxType: document.getElementById('fxType'),
+  addFx: document.getElementById('addFxBtn'),
+  fxInfo: document.getElementById('fxInfo'),
+  clearFx: document.getElementById('clearFxBtn'),
+  fxList: document.getElementById('fxList'),
+  brandClip: document.getElementById('brandClip'),
+  brandTitle: document.getElementById('brandTitle'),
+  brandScore: document.getElementById('brandScore'),
+  addRange: document.getElementById('addRangeBtn'),
+  reelInfo: document.getElementById('reelInfo'),
+  clearReel: document.getElementById('clearReelBtn'),
+  downloadReel: document.getElementById('downloadReelBtn'),
+  reelList: document.getElementById('reelList'),
   chips: document.querySelectorAll('.chips button'),
   dlWrap: document.getElementById('dlWrap'),
   dlBar: document.getElementById('dlBar'),
@@ -23,10 +46,24 @@ const els = {
   cancelDl: document.getElementById('cancelDl'),
   commentsBlock: document.getElementById('commentsBlock'),
   commentText: document.getElementById('commentText'),
+  commentType: document.getElementById('commentType'),
+  commentSide: document.getElementById('commentSide'),
+  commentPlayer: document.getElementById('commentPlayer'),
+  eventStats: document.getElementById('eventStats'),
+  eventFilters: document.getElementById('eventFilters'),
   commentSec: document.getElementById('commentSec'),
   useCurrent: document.getElementById('useCurrent'),
   addComment: document.getElementById('addCommentBtn'),
   commentList: document.getElementById('commentList'),
+  commentForm: document.getElementById('commentForm'),
+  authBox: document.getElementById('commentAuth'),
+  authPhone: document.getElementById('authPhone'),
+  authSend: document.getElementById('authSend'),
+  authCode: document.getElementById('authCode'),
+  authVerify: document.getElementById('authVerify'),
+  authInfo: document.getElementById('authInfo'),
+  authWho: document.getElementById('authWho'),
+  authOut: document.getElementById('authOut'),
 };
 
 // =================== State ===================
@@ -34,35 +71,140 @@ let A = null, B = null;
 let hls = null;
 let previewTimer = null, prevTime = 0;
 let dlController = null;
-let currentCode = null;
+let currentCode = null;   // game id from /api/resolve: R2 code, Stream UID or .m3u8 URL
+let currentSource = null; // { kind, id, m3u8Url, label, signPrefix }
+let authToken = null, authPhoneSent = null;
+let playbackToken = null, playbackTimer = null;
 
 // =================== Utils ===================
 const fmt = s => { s = Math.max(0, s|0); const m = (s/60)|0, ss = s%60; return m + ':' + String(ss).padStart(2,'0'); };
 const getQP = k => new URLSearchParams(location.search).get(k);
 const bytes = n => { if (!Number.isFinite(n) || n <= 0) return '0 B'; const u=['B','KB','MB','GB','TB']; let i=0, v=n; while(v>=1024&&i<u.length-1){v/=1024;i++;} return v.toFixed(v<10&&i>0?1:0)+' '+u[i]; };
+const TOKEN_KEY = 'fision.token';
+const PLAYBACK_REFRESH_MS = 5 * 60 * 1000; // tokens live 15 min on the server
+function normalizeIsraeliPhone(value) {
+  const compact = String(value || '').trim().replace(/[\s-]/g, '');
+  if (/^05\d{8}$/.test(compact)) return `+972${compact.slice(1)}`;
+  if (/^\+?9725\d{8}$/.test(compact)) return compact.startsWith('+') ? compact : `+${compact}`;
+  return null;
+}
+function jwtClaims(token) {
+  try { return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'))); } catch { return null; }
+}
 
 // =================== Zoom init ===================
 const container = document.getElementById('video-container');
 const panzoom = Panzoom(els.vid, { maxScale: 5, contain: 'outside' });
 container.addEventListener('wheel', panzoom.zoomWithWheel);
 
-// =================== HLS load (R2 worker) ===================
+// =================== Playback token (signed, short-lived) ===================
+// The token also rides on every HLS request under signPrefix, for the R2 video worker.
+async function fetchPlaybackToken(code, key = getQP('key') || undefined) {
+  const r = await fetch('/playback/token', {
+    method:'POST',
+    headers:{ 'Content-Type':'application/json', ...authHeaders() },
+    body: JSON.stringify({ code, key }),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok || !data.token) {
+    const err = new Error(data.error || 'Playback not allowed');
+    err.status = r.status;
+    throw err;
+  }
+  return data.token;
+}
+function schedulePlaybackRefresh(code) {
+  clearInterval(playbackTimer);
+  playbackTimer = setInterval(async () => {
+    try {
+      playbackToken = await fetchPlaybackToken(code);
+      if (!hls && els.vid.currentSrc && currentSource?.signPrefix) refreshNativeSrc();
+    } catch (e) { console.warn('[playback] token refresh failed', e); }
+  }, PLAYBACK_REFRESH_MS);
+}
+// Native HLS (Safari) has the token baked into its playlist URL and the worker
+// copies it onto every segment, so swap in the fresh one before it expires.
+function refreshNativeSrc() {
+  const v = els.vid;
+  const at = v.currentTime, paused = v.paused, rate = v.playbackRate;
+  v.src = withPlaybackToken(currentSource.m3u8Url);
+  v.addEventListener('loadedmetadata', () => {
+    v.currentTime = at;
+    v.playbackRate = rate;
+    if (!paused) v.play().catch(() => {});
+  }, { once: true });
+}
+function playbackHeaders() { return playbackToken ? { 'X-Playback-Token': playbackToken } : {}; }
+function withPlaybackToken(url) {
+  const prefix = currentSource?.signPrefix;
+  if (!playbackToken || !prefix || !url.startsWith(prefix)) return url;
+  const u = new URL(url);
+  u.searchParams.set('pt', playbackToken);
+  return u.toString();
+}
+
+// =================== Source (R2 code, Stream UID or .m3u8 link) ===================
+// The clipper resolves it the same way it does for /clip, so what plays can be clipped.
+// Without a token it only names the game (its id is what /playback/token wants);
+// with one it also returns the playlist to load.
+async function resolveSource(input, token) {
+  const r = await fetch(`/api/resolve?src=${encodeURIComponent(input)}`, {
+    cache: 'no-store',
+    headers: token ? { 'X-Playback-Token': token } : {},
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok || !data.id || (token && !data.m3u8Url)) throw new Error(data.error || `HTTP ${r.status}`);
+  return data;
+}
+
+// =================== HLS load ===================
 async function loadVideo() {
-  const code = (els.code.value || '').trim();
-  if (!code) { alert('Enter a game code'); return; }
+  const input = (els.code.value || '').trim();
+  if (!input) { alert('Enter a game code, Stream UID or .m3u8 link'); return; }
 
-  const src = `${HLS_BASE}/videos/${encodeURIComponent(code)}/${PLAYLIST}`;
-  console.log('[watch] src:', src);
+  let source;
+  try {
+    source = await resolveSource(input);
+  } catch (e) {
+    alert('Could not open this video: ' + (e.message || e));
+    return;
+  }
+  const code = source.id;
+
+  clearInterval(playbackTimer);
+  try {
+    playbackToken = await fetchPlaybackToken(code);
+  } catch (e) {
+    playbackToken = null;
+    alert(e.status === 401 || e.status === 403
+      ? 'This game is private. Open it from the link we texted you, or sign in on My games with the phone that recorded it.'
+      : 'Could not open this game: ' + (e.message || e));
+    return;
+  }
+  try {
+    source = await resolveSource(input, playbackToken);
+  } catch (e) {
+    alert('Could not open this video: ' + (e.message || e));
+    return;
+  }
+  schedulePlaybackRefresh(code);
+  currentSource = source;
+
+  const src = source.m3u8Url;
+  console.log('[watch] src:', source.kind, src);
 
   // Quick probe to reveal CORS/status in console
   try {
-    const head = await fetch(src, { method: 'GET', cache: 'no-store' });
+    const head = await fetch(withPlaybackToken(src), { method: 'GET', cache: 'no-store' });
     console.log('[watch] m3u8 status:', head.status, head.statusText);
   } catch (e) {
     console.warn('[watch] m3u8 fetch failed:', e);
   }
 
   if (hls) { try { hls.destroy(); } catch {} hls = null; }
+  renderQuality();
+  isLive = null;
+  els.liveBadge.style.display = 'none';
   els.vid.pause();
   els.vid.removeAttribute('src');
   els.vid.load();
@@ -75,15 +217,21 @@ async function loadVideo() {
   };
 
   if (window.Hls && Hls.isSupported()) {
-    hls = new Hls({ enableWorker: true });
+    hls = new Hls({
+      enableWorker: true,
+      xhrSetup: (xhr, url) => { xhr.open('GET', withPlaybackToken(url), true); },
+    });
     hls.on(Hls.Events.ERROR, (_, data) => {
       console.warn('[hls] error', data?.type, data?.details, data);
       if (data?.fatal) alert('HLS fatal: ' + (data?.details || data?.type));
     });
+    hls.on(Hls.Events.MANIFEST_PARSED, renderQuality);
+    hls.on(Hls.Events.LEVEL_SWITCHED, renderQuality);
+    hls.on(Hls.Events.LEVEL_LOADED, (_, data) => setLive(!!data.details?.live));
     hls.loadSource(src);
     hls.attachMedia(els.vid);
   } else if (els.vid.canPlayType('application/vnd.apple.mpegurl')) {
-    els.vid.src = src; // Safari
+    els.vid.src = withPlaybackToken(src); // Safari (the R2 worker signs segment URLs in the playlist)
   } else {
     alert('HLS is not supported in this browser.');
     return;
@@ -91,36 +239,225 @@ async function loadVideo() {
 
   currentCode = code;
   els.commentsBlock.style.display = '';
+  thumbCues = []; thumbsFor = null; // loaded by setLive once the game is known to be finished
+  highlights = []; highlightsFor = null; renderHighlights();
   await refreshComments();
   els.commentSec.value = Math.floor(els.vid.currentTime) || 0;
 }
 
 // =================== A/B ===================
-function setA() { A = Math.floor(els.vid.currentTime); els.valA.textContent = fmt(A); }
-function setB() { B = Math.floor(els.vid.currentTime); els.valB.textContent = fmt(B); }
+function setA() { A = Math.floor(els.vid.currentTime); els.valA.textContent = fmt(A); framingKeys = []; renderEffects(); }
+function setB() { B = Math.floor(els.vid.currentTime); els.valB.textContent = fmt(B); framingKeys = []; renderEffects(); }
 
 // =================== Preview ===================
 async function previewClip() {
   if (!Number.isFinite(A) || !Number.isFinite(B) || B <= A) { alert('Set valid A and B first.'); return; }
   if (previewTimer) { cancelPreview(); }
   prevTime = els.vid.currentTime;
+  framingKeys = []; // each preview re-records the framing
   els.vid.currentTime = A;
   try { await els.vid.play(); } catch {}
-  previewTimer = setTimeout(cancelPreview, (B - A) * 1000);
+  if (clipEffects().length) {
+    // Effects stop the preview from timeupdate; the timer is only a backstop
+    fxPlay = { frozen: new Set(), holding: false, holdTimer: null, replaying: false };
+    previewTimer = setTimeout(cancelPreview, (effectsLength() + 5) * 1000);
+  } else {
+    previewTimer = setTimeout(cancelPreview, (B - A) * 1000);
+  }
   els.preview.disabled = true;
 }
 function cancelPreview() {
   if (previewTimer) { clearTimeout(previewTimer); previewTimer = null; }
+  if (fxPlay) { clearTimeout(fxPlay.holdTimer); fxPlay = null; }
+  els.vid.playbackRate = 1;
   try { els.vid.pause(); } catch {}
   els.vid.currentTime = prevTime || A || 0;
   els.preview.disabled = false;
 }
 
+// =================== Social framing (crop follows the zoomed view) ===================
+// While Preview plays A→B the current view is sampled; each key is
+// { t: seconds after A, cx/cy: view centre as a fraction of the frame, z: zoom }.
+const MAX_FRAMING_KEYS = 120; // server limit
+const MAX_ANIM_SEC = 15; // server default for gif/webp
+let framingKeys = [];
+
+function currentFraming() {
+  const v = els.vid;
+  const W = v.clientWidth, H = v.clientHeight;
+  if (!W || !H || !v.videoWidth || !v.videoHeight) return { cx: 0.5, cy: 0.5, z: 1 };
+  // object-fit: contain → the picture is letterboxed inside the element
+  const fit = Math.min(W / v.videoWidth, H / v.videoHeight);
+  const cw = v.videoWidth * fit, ch = v.videoHeight * fit;
+  // Panzoom applies scale(s) translate(x, y) around the element centre,
+  // so the middle of the viewport shows element point (W/2 - x, H/2 - y).
+  const { x, y } = panzoom.getPan();
+  const s = panzoom.getScale();
+  const clamp01 = n => Math.max(0, Math.min(1, n));
+  return {
+    cx: clamp01((W / 2 - x - (W - cw) / 2) / cw),
+    cy: clamp01((H / 2 - y - (H - ch) / 2) / ch),
+    z: Math.max(1, (s * ch) / H),
+  };
+}
+
+function recordFraming() {
+  if (!previewTimer || !els.followPan?.checked || fxPlay?.replaying) return;
+  const t = els.vid.currentTime - A;
+  if (t < 0 || t > B - A) return;
+  const key = { t, ...currentFraming() };
+  const last = framingKeys[framingKeys.length - 1];
+  if (last && Math.abs(last.cx - key.cx) < 0.005 && Math.abs(last.cy - key.cy) < 0.005 && Math.abs(last.z - key.z) < 0.02) return;
+  framingKeys.push(key);
+}
+
+function framingParam() {
+  let keys = framingKeys.length && els.followPan?.checked ? framingKeys : [{ t: 0, ...currentFraming() }];
+  if (keys.length > MAX_FRAMING_KEYS) {
+    const step = keys.length / MAX_FRAMING_KEYS;
+    keys = Array.from({ length: MAX_FRAMING_KEYS }, (_, i) => keys[Math.floor(i * step)]);
+  }
+  return keys.map(k => [k.t.toFixed(2), k.cx.toFixed(3), k.cy.toFixed(3), k.z.toFixed(2)].join(':')).join(',');
+}
+
+// =================== Effects (slow-mo / freeze / replay) ===================
+// Times are video seconds like A/B. Preview plays them the way the clipper
+// renders them: slow stretches at a lower rate, freezes as a pause, the
+// replay as a second pass over the end of the clip.
+const MAX_EFFECTS = 8; // server limit
+let effects = []; // [{ type:'slow', start, end, rate } | { type:'freeze', at, hold } | { type:'replay', last, rate }]
+let fxPlay = null; // preview state: { frozen, holding, holdTimer, replaying }
+
+const fxLabel = fx =>
+  fx.type === 'slow' ? `Slow-mo ${fx.rate}× · ${fmt(fx.start)}–${fmt(fx.end)}`
+  : fx.type === 'freeze' ? `Freeze ${fx.hold}s · ${fmt(fx.at)}`
+  : `Replay last ${fx.last}s at ${fx.rate}×`;
+
+// Only what falls inside A/B goes to the clipper
+function clipEffects() {
+  return effects.filter(fx =>
+    fx.type === 'replay' ||
+    (fx.type === 'slow' ? fx.end > A && fx.start < B : fx.at >= A && fx.at < B));
+}
+
+function effectsParam() {
+  return clipEffects().map(fx =>
+    fx.type === 'slow' ? `slow:${fx.start.toFixed(2)}-${fx.end.toFixed(2)}:${fx.rate}`
+    : fx.type === 'freeze' ? `freeze:${fx.at.toFixed(2)}:${fx.hold}`
+    : `replay:${fx.last}:${fx.rate}`).join(',');
+}
+
+function effectsLength() {
+  let len = B - A;
+  for (const fx of clipEffects()) {
+    if (fx.type === 'slow') len += (Math.min(fx.end, B) - Math.max(fx.start, A)) * (1 / fx.rate - 1);
+    else if (fx.type === 'freeze') len += fx.hold;
+    else len += Math.min(fx.last, B - A) / fx.rate;
+  }
+  return len;
+}
+
+function renderEffects() {
+  els.fxList.innerHTML = '';
+  effects.forEach((fx, i) => {
+    const row = document.createElement('div');
+    row.className = 'comment-item';
+    const label = document.createElement('div');
+    label.className = 'ctext';
+    label.textContent = fxLabel(fx);
+    const rm = document.createElement('button');
+    rm.className = 'secondary';
+    rm.textContent = 'Remove';
+    rm.onclick = () => { effects.splice(i, 1); renderEffects(); };
+    row.append(label, rm);
+    els.fxList.appendChild(row);
+  });
+  const ab = Number.isFinite(A) && Number.isFinite(B) && B > A;
+  els.fxInfo.textContent = !effects.length ? 'Effects: none'
+    : `Effects: ${effects.length}${ab ? ` · clip plays ${fmt(Math.round(effectsLength()))}` : ''}`;
+  els.clearFx.disabled = !effects.length;
+}
+
+function addEffect() {
+  const t = Math.round(els.vid.currentTime * 10) / 10;
+  const kind = els.fxType.value;
+  let fx;
+  if (kind === 'slow') fx = { type: 'slow', start: t, end: Number.isFinite(B) && B > t ? Math.min(B, t + 3) : t + 3, rate: 0.5 };
+  else if (kind === 'freeze') fx = { type: 'freeze', at: t, hold: 2 };
+  else fx = { type: 'replay', last: 5, rate: 0.5 };
+
+  if (fx.type === 'replay') {
+    effects = effects.filter(x => x.type !== 'replay'); // one per clip
+  } else {
+    const span = x => x.type === 'slow' ? [x.start, x.end] : [x.at, x.at];
+    const [s, e] = span(fx);
+    if (effects.some(x => x.type !== 'replay' && span(x)[0] <= e && s <= span(x)[1])) {
+      alert('That overlaps another effect. Move the video and try again.');
+      return;
+    }
+  }
+  if (effects.length >= MAX_EFFECTS) { alert(`Up to ${MAX_EFFECTS} effects per clip.`); return; }
+  effects.push(fx);
+  effects.sort((x, y) => (x.type === 'replay') - (y.type === 'replay') || (x.start ?? x.at) - (y.start ?? y.at));
+  renderEffects();
+}
+
+// timeupdate during Preview: set the rate, hold freezes, run the replay, stop at B
+function previewEffects() {
+  if (!previewTimer || !fxPlay || fxPlay.holding) return;
+  const v = els.vid, t = v.currentTime;
+  const list = clipEffects();
+
+  const freeze = !fxPlay.replaying && list.find(fx => fx.type === 'freeze' && !fxPlay.frozen.has(fx) && t >= fx.at);
+  if (freeze) {
+    fxPlay.frozen.add(freeze);
+    fxPlay.holding = true;
+    v.pause();
+    fxPlay.holdTimer = setTimeout(() => { if (fxPlay) fxPlay.holding = false; v.play().catch(() => {}); }, freeze.hold * 1000);
+    return;
+  }
+  if (t >= B) {
+    const replay = list.find(fx => fx.type === 'replay');
+    if (replay && !fxPlay.replaying) {
+      fxPlay.replaying = true;
+      v.currentTime = Math.max(A, B - replay.last);
+      v.playbackRate = replay.rate;
+      return;
+    }
+    cancelPreview();
+    return;
+  }
+  if (!fxPlay.replaying) {
+    const slow = list.find(fx => fx.type === 'slow' && t >= fx.start && t < fx.end);
+    v.playbackRate = slow ? slow.rate : 1;
+  }
+}
+
 // =================== Comments (same endpoints you already had) ===================
-function renderComments(items=[]) {
-  items.sort((a,b)=> (a.time||0) - (b.time||0));
+// Comments with a type are match events: coloured markers on the timeline,
+// filterable, and counted per team in the stats line (the server tallies them).
+const EVENT_TYPES = {
+  goal: { label: 'Goal', icon: '⚽', color: '#00ff88' },
+  shot: { label: 'Shot', icon: '🎯', color: '#4fc3f7' },
+  save: { label: 'Save', icon: '🧤', color: '#b388ff' },
+  foul: { label: 'Foul', icon: '⚠️', color: '#ff7043' },
+  card: { label: 'Card', icon: '🟨', color: '#fdd835' },
+};
+const SIDE_LABELS = { home: 'Home', away: 'Away' };
+let comments = [], eventStats = null;
+let eventFilter = ''; // '' all · 'comment' plain comments only · or an event type
+
+const eventLabel = it => [EVENT_TYPES[it.type]?.label, SIDE_LABELS[it.side], it.player].filter(Boolean).join(' · ');
+const shownComments = () => comments.filter(it => !eventFilter || (it.type || 'comment') === eventFilter);
+
+function renderComments(items = comments, stats = eventStats) {
+  comments = items.sort((a,b)=> (a.time||0) - (b.time||0));
+  eventStats = stats;
+  renderEventFilters();
+  renderEventStats();
+  renderEventMarkers();
   els.commentList.innerHTML = '';
-  for (const it of items) {
+  for (const it of shownComments()) {
     const row = document.createElement('div');
     row.className = 'comment-item';
     const t = document.createElement('div');
@@ -128,56 +465,434 @@ function renderComments(items=[]) {
     t.innerHTML = `<span class="ctime">${fmt(it.time|0)}</span>`;
     const text = document.createElement('div');
     text.className = 'ctext';
-    text.textContent = it.text || '';
+    const ev = EVENT_TYPES[it.type];
+    if (ev) {
+      const chip = Object.assign(document.createElement('span'), { className: 'ev-chip', textContent: `${ev.icon} ${eventLabel(it)}` });
+      chip.style.background = ev.color;
+      text.appendChild(chip);
+      if (it.text) text.appendChild(document.createTextNode(' '));
+    }
+    text.appendChild(document.createTextNode(it.text || ''));
+    const meta = document.createElement('div');
+    meta.className = 'cmeta';
+    meta.textContent = (it.mine ? 'You' : (it.author || 'Anonymous')) + (it.updatedAt ? ' · edited' : '');
+    text.appendChild(meta);
     const go = Object.assign(document.createElement('button'), { textContent: 'Jump' });
     go.onclick = () => { try { els.vid.currentTime = it.time||0; els.vid.focus(); } catch{} };
     row.appendChild(t); row.appendChild(text); row.appendChild(go);
+    if (it.canEdit) {
+      const edit = Object.assign(document.createElement('button'), { textContent: 'Edit', className: 'secondary' });
+      edit.onclick = () => editComment(it);
+      const del = Object.assign(document.createElement('button'), { textContent: 'Delete', className: 'secondary' });
+      del.onclick = () => deleteComment(it);
+      row.appendChild(edit); row.appendChild(del);
+    }
     els.commentList.appendChild(row);
   }
 }
 
+function renderEventFilters() {
+  const counts = {};
+  for (const it of comments) counts[it.type || 'comment'] = (counts[it.type || 'comment'] || 0) + 1;
+  const options = [['', `All (${comments.length})`]]
+    .concat(Object.entries(EVENT_TYPES).filter(([type]) => counts[type]).map(([type, ev]) => [type, `${ev.icon} ${ev.label}s (${counts[type]})`]))
+    .concat(counts.comment && counts.comment < comments.length ? [['comment', `💬 Comments (${counts.comment})`]] : []);
+  if (!options.some(([v]) => v === eventFilter)) eventFilter = '';
+
+  els.eventFilters.innerHTML = '';
+  els.eventFilters.style.display = options.length > 2 ? '' : 'none';
+  for (const [value, text] of options) {
+    const b = Object.assign(document.createElement('button'), { textContent: text, className: value === eventFilter ? 'on' : '' });
+    b.onclick = () => { eventFilter = value; renderComments(); };
+    els.eventFilters.appendChild(b);
+  }
+}
+
+function renderEventStats() {
+  const st = eventStats;
+  els.eventStats.style.display = st?.events ? '' : 'none';
+  els.eventStats.innerHTML = '';
+  if (!st?.events) return;
+  const add = (label, value) => {
+    const item = document.createElement('span');
+    item.append(`${label} `, Object.assign(document.createElement('b'), { textContent: value }));
+    els.eventStats.appendChild(item);
+  };
+  add('Score', `Home ${st.score.home} – ${st.score.away} Away`);
+  for (const [type, ev] of Object.entries(EVENT_TYPES)) {
+    const c = st.byType[type];
+    if (type !== 'goal' && c?.total) add(`${ev.label}s`, c.home || c.away ? `${c.home}–${c.away}` : String(c.total));
+  }
+  const scorers = st.players.filter(p => p.counts.goal).slice(0, 3);
+  if (scorers.length) add('Scorers:', scorers.map(p => `${p.player} ${p.counts.goal}`).join(', '));
+}
+
+function renderEventMarkers() {
+  els.timeline.querySelectorAll('.ev-marker').forEach(m => m.remove());
+  const dur = mediaDuration();
+  if (!dur) return;
+  for (const it of shownComments()) {
+    const ev = EVENT_TYPES[it.type];
+    if (!ev) continue;
+    const marker = Object.assign(document.createElement('button'), { className: 'ev-marker', title: `${fmt(it.time)} ${ev.icon} ${eventLabel(it)}` });
+    marker.style.left = `${Math.min(100, (it.time / dur) * 100)}%`;
+    marker.style.background = ev.color;
+    // keep the timeline from seeking underneath the marker
+    marker.addEventListener('pointerdown', e => e.stopPropagation());
+    marker.addEventListener('pointerup', e => { e.stopPropagation(); els.vid.currentTime = it.time || 0; });
+    els.timeline.appendChild(marker);
+  }
+}
+
 async function refreshComments() {
   if (!currentCode) return;
   try {
-    const r = await fetch(`/api/comments?code=${encodeURIComponent(currentCode)}`, { cache: 'no-store' });
+    const r = await fetch(`/api/comments?code=${encodeURIComponent(currentCode)}`, { cache: 'no-store', headers: { ...authHeaders(), ...playbackHeaders() } });
     if (!r.ok) throw new Error(await r.text());
     const data = await r.json();
-    renderComments(data?.comments || []);
+    renderComments(data?.comments || [], data?.stats || null);
   } catch (e) {
     console.warn('comments fetch failed', e);
-    renderComments([]);
+    renderComments([], null);
   }
 }
 
 async function addComment() {
   if (!currentCode) { alert('Load a video first'); return; }
+  if (!authToken) { alert('Sign in with your phone to comment'); return; }
   const text = (els.commentText.value || '').trim();
   const sec = Number(els.commentSec.value || 0);
-  if (!text) { alert('Type a comment'); return; }
+  const type = els.commentType.value;
+  if (!text && !type) { alert('Type a comment or pick an event'); return; }
   if (!Number.isFinite(sec) || sec < 0) { alert('Invalid time'); return; }
   try {
     const r = await fetch('/api/comments', {
       method:'POST',
-      headers:{ 'Content-Type':'application/json' },
-      body: JSON.stringify({ code: currentCode, time: Math.floor(sec), text }),
+      headers:{ 'Content-Type':'application/json', ...authHeaders(), ...playbackHeaders() },
+      body: JSON.stringify({
+        code: currentCode, time: Math.floor(sec), text,
+        ...(type ? { type, side: els.commentSide.value, player: els.commentPlayer.value.trim() } : {}),
+      }),
     });
+    if (r.status === 401) { signOut(); throw new Error('Please sign in again'); }
     if (!r.ok) throw new Error(await r.text());
     els.commentText.value = '';
+    els.commentType.value = '';
+    els.commentPlayer.value = '';
     await refreshComments();
   } catch (e) {
     alert('Failed to add comment: ' + (e.message || e));
   }
 }
 
+async function editComment(it) {
+  const text = prompt('Edit comment', it.text || '');
+  if (text === null) return;
+  if (!text.trim() && !it.type) { alert('Type a comment'); return; }
+  try {
+    const r = await fetch(`/api/comments/${encodeURIComponent(it.id)}`, {
+      method:'PATCH',
+      headers:{ 'Content-Type':'application/json', ...authHeaders() },
+      body: JSON.stringify({ text: text.trim() }),
+    });
+    if (r.status === 401) { signOut(); throw new Error('Please sign in again'); }
+    if (!r.ok) throw new Error(await r.text());
+    await refreshComments();
+  } catch (e) {
+    alert('Failed to edit comment: ' + (e.message || e));
+  }
+}
+
+async function deleteComment(it) {
+  if (!confirm('Delete this comment?')) return;
+  try {
+    const r = await fetch(`/api/comments/${encodeURIComponent(it.id)}`, { method:'DELETE', headers: authHeaders() });
+    if (r.status === 401) { signOut(); throw new Error('Please sign in again'); }
+    if (!r.ok) throw new Error(await r.text());
+    await refreshComments();
+  } catch (e) {
+    alert('Failed to delete comment: ' + (e.message || e));
+  }
+}
+
+// =================== Comment sign-in (phone OTP, same flow as record.html) ===================
+function authHeaders() { return authToken ? { Authorization: 'Bearer ' + authToken } : {}; }
+
+function renderAuth() {
+  const claims = authToken ? jwtClaims(authToken) : null;
+  const signedIn = !!claims?.phone;
+  els.authBox.style.display = signedIn ? 'none' : '';
+  els.authInfo.style.display = signedIn ? '' : 'none';
+  els.commentForm.style.display = signedIn ? '' : 'none';
+  els.authWho.textContent = signedIn ? claims.phone : '';
+  els.authCode.style.display = authPhoneSent ? '' : 'none';
+  els.authVerify.style.display = authPhoneSent ? '' : 'none';
+}
+
+function setToken(token) {
+  const exp = token ? jwtClaims(token)?.exp : null;
+  authToken = token && (!exp || exp * 1000 > Date.now()) ? token : null;
+  try {
+    if (authToken) localStorage.setItem(TOKEN_KEY, authToken);
+    else localStorage.removeItem(TOKEN_KEY);
+  } catch {}
+  renderAuth();
+}
+
+function signOut() {
+  authPhoneSent = null;
+  setToken(null);
+  refreshComments();
+}
+
+async function sendAuthCode() {
+  const phone = normalizeIsraeliPhone(els.authPhone.value);
+  if (!phone) { alert('Enter a valid Israeli mobile number, e.g. 054-919-5229'); return; }
+  els.authSend.disabled = true;
+  try {
+    const r = await fetch('/auth/send-otp', {
+      method:'POST',
+      headers:{ 'Content-Type':'application/json' },
+      body: JSON.stringify({ phone }),
+    });
+    if (r.status === 429) throw new Error('Please wait a minute before requesting another code');
+    if (!r.ok) throw new Error('Could not send the code');
+    authPhoneSent = phone;
+    renderAuth();
+    els.authCode.focus();
+  } catch (e) {
+    alert(e.message || e);
+  } finally {
+    els.authSend.disabled = false;
+  }
+}
+
+async function verifyAuthCode() {
+  const code = (els.authCode.value || '').trim();
+  if (!authPhoneSent || !code) { alert('Enter the code you received'); return; }
+  els.authVerify.disabled = true;
+  try {
+    const r = await fetch('/auth/verify-otp', {
+      method:'POST',
+      headers:{ 'Content-Type':'application/json' },
+      body: JSON.stringify({ phone: authPhoneSent, code }),
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || !data.token) throw new Error('That code didn’t work. Please check the SMS and try again.');
+    authPhoneSent = null;
+    els.authCode.value = '';
+    setToken(data.token);
+    await refreshComments();
+  } catch (e) {
+    alert(e.message || e);
+  } finally {
+    els.authVerify.disabled = false;
+  }
+}
+
+// =================== Seek-bar thumbnails ===================
+// The clipper builds a sprite sheet + WebVTT track per game on first request
+// (202 while it works). Cues: { start, end, file, x, y, w, h }.
+let thumbCues = [], thumbsFor = null, thumbsTimer = null;
+
+function parseThumbVtt(text) {
+  const toSec = s => s.split(':').reduce((acc, v) => acc * 60 + parseFloat(v), 0);
+  const cues = [];
+  for (const block of text.split(/\r?\n\r?\n/)) {
+    const lines = block.trim().split(/\r?\n/);
+    const i = lines.findIndex(l => l.includes('-->'));
+    if (i < 0 || !lines[i + 1]) continue;
+    const [a, b] = lines[i].split('-->').map(s => toSec(s.trim()));
+    const m = lines[i + 1].trim().match(/^(.+)#xywh=(\d+),(\d+),(\d+),(\d+)$/);
+    if (m) cues.push({ start: a, end: b, file: m[1], x: +m[2], y: +m[3], w: +m[4], h: +m[5] });
+  }
+  return cues;
+}
+
+async function loadThumbnails(code, attempt = 0) {
+  clearTimeout(thumbsTimer);
+  if (attempt === 0) { thumbCues = []; thumbsFor = code; }
+  if (thumbsFor !== code) return;
+  try {
+    const r = await fetch(`/api/thumbs/${encodeURIComponent(code)}/index.vtt`, { headers: playbackHeaders() });
+    if (r.status === 202 && attempt < 30) {
+      const wait = Number(r.headers.get('Retry-After')) || 10;
+      thumbsTimer = setTimeout(() => loadThumbnails(code, attempt + 1), wait * 1000);
+      return;
+    }
+    if (!r.ok || thumbsFor !== code) return;
+    thumbCues = parseThumbVtt(await r.text());
+  } catch (e) {
+    console.warn('[thumbs]', e);
+  }
+}
+
+function timelineTime(e) {
+  const rect = els.timeline.getBoundingClientRect();
+  const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+  return { t: ratio * mediaDuration(), x: ratio * rect.width };
+}
+
+function showThumb(e) {
+  if (!mediaDuration()) return;
+  const { t, x } = timelineTime(e);
+  const cue = thumbCues.find(c => t >= c.start && t < c.end);
+  els.thumbImg.style.display = cue ? '' : 'none';
+  if (cue) {
+    const pt = playbackToken ? `?pt=${encodeURIComponent(playbackToken)}` : '';
+    els.thumbImg.style.backgroundImage = `url("/api/thumbs/${encodeURIComponent(thumbsFor)}/${cue.file}${pt}")`;
+    els.thumbImg.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+    els.thumbImg.style.width = cue.w + 'px';
+    els.thumbImg.style.height = cue.h + 'px';
+  }
+  els.thumbTime.textContent = fmt(t);
+  const half = (cue?.w || 40) / 2 + 4;
+  els.thumbPreview.style.left = Math.max(half, Math.min(els.timeline.clientWidth - half, x)) + 'px';
+  els.thumbPreview.style.display = 'block';
+}
+
+els.timeline.addEventListener('pointermove', showThumb);
+els.timeline.addEventListener('pointerdown', showThumb);
+els.timeline.addEventListener('pointerleave', () => { els.thumbPreview.style.display = 'none'; });
+els.timeline.addEventListener('pointerup', (e) => {
+  if (!mediaDuration()) return;
+  els.vid.currentTime = timelineTime(e).t;
+  if (e.pointerType !== 'mouse') els.thumbPreview.style.display = 'none';
+});
+
+// =================== Suggested highlights ===================
+// The clipper scans a finished game's crowd noise and motion once (202 while it
+// works). Each suggestion: { time, start, end, score } — tap to make it A/B.
+let highlights = [], highlightsFor = null, highlightsTimer = null;
+
+async function loadHighlights(code, attempt = 0) {
+  clearTimeout(highlightsTimer);
+  if (attempt === 0) { highlights = []; highlightsFor = code; renderHighlights(); }
+  if (highlightsFor !== code) return;
+  try {
+    const r = await fetch(`/api/highlights/${encodeURIComponent(code)}`, { headers: playbackHeaders() });
+    if (r.status === 202 && attempt < 40) {
+      const wait = Number(r.headers.get('Retry-After')) || 15;
+      highlightsTimer = setTimeout(() => loadHighlights(code, attempt + 1), wait * 1000);
+      return;
+    }
+    if (!r.ok || highlightsFor !== code) return;
+    highlights = (await r.json()).highlights || [];
+    renderHighlights();
+  } catch (e) {
+    console.warn('[highlights]', e);
+  }
+}
+
+function useHighlight(h) {
+  A = Math.floor(h.start); els.valA.textContent = fmt(A);
+  B = Math.ceil(h.end); els.valB.textContent = fmt(B);
+  framingKeys = [];
+  renderEffects();
+  els.vid.currentTime = A;
+}
+
+function renderHighlights() {
+  els.timeline.querySelectorAll('.hl-marker').forEach(m => m.remove());
+  els.highlightList.innerHTML = '';
+  els.highlightsRow.style.display = highlights.length ? '' : 'none';
+  const dur = mediaDuration();
+
+  for (const h of highlights) {
+    const title = `Highlight at ${fmt(h.time)} — tap to set A/B (${fmt(h.start)}–${fmt(h.end)})`;
+    const chip = Object.assign(document.createElement('button'), { textContent: `⚡ ${fmt(h.time)}`, title });
+    chip.onclick = () => useHighlight(h);
+    els.highlightList.appendChild(chip);
+
+    if (!dur) continue;
+    const marker = Object.assign(document.createElement('button'), { className: 'hl-marker', title });
+    marker.style.left = `${Math.min(100, (h.time / dur) * 100)}%`;
+    // keep the timeline from seeking underneath the marker
+    marker.addEventListener('pointerdown', e => e.stopPropagation());
+    marker.addEventListener('pointerup', e => { e.stopPropagation(); useHighlight(h); });
+    els.timeline.appendChild(marker);
+  }
+}
+
+// =================== Quality (packaged games have several renditions) ===================
+// "Auto" lets hls.js follow the connection; its label shows what is playing now.
+function levelName(l) { return l.height ? `${l.height}p` : `${Math.round((l.bitrate || 0) / 1000)} kbps`; }
+
+function renderQuality() {
+  const levels = hls?.levels || [];
+  els.quality.style.display = levels.length > 1 ? '' : 'none';
+  if (levels.length < 2) return;
+
+  const playing = levels[hls.currentLevel];
+  const options = [{ value: -1, text: playing && hls.autoLevelEnabled ? `Auto (${levelName(playing)})` : 'Auto' }]
+    .concat(levels.map((l, i) => ({ value: i, text: levelName(l), height: l.height || 0, bitrate: l.bitrate || 0 }))
+      .sort((a, b) => b.height - a.height || b.bitrate - a.bitrate));
+  els.quality.innerHTML = '';
+  for (const o of options) els.quality.appendChild(Object.assign(document.createElement('option'), { value: o.value, textContent: o.text }));
+  els.quality.value = String(hls.autoLevelEnabled ? -1 : hls.currentLevel);
+}
+
+els.quality.onchange = () => {
+  if (!hls) return;
+  hls.currentLevel = Number(els.quality.value); // -1 → back to automatic
+  renderQuality();
+};
+
+// =================== Live (game still recording) ===================
+// A playlist without ENDLIST is live: it grows while the camera records. The
+// badge is red at the live edge; tapping it catches up. Clips can be cut from
+// anything already recorded. Thumbnails wait until the game has finished.
+let isLive = null; // null until the first playlist load tells us
+const LIVE_EDGE_SEC = 10;
+
+function seekableEnd() {
+  const r = els.vid.seekable;
+  return r.length ? r.end(r.length - 1) : 0;
+}
+// Safari reports Infinity for a live stream; the seekable range is what exists
+function mediaDuration() {
+  return Number.isFinite(els.vid.duration) ? els.vid.duration : seekableEnd();
+}
+
+function setLive(live) {
+  if (live === isLive) return;
+  isLive = live;
+  els.liveBadge.style.display = live ? '' : 'none';
+  if (!live) { // first load of a finished game, or the recording just ended
+    loadThumbnails(currentCode);
+    loadHighlights(currentCode);
+  }
+}
+
+function renderLiveBadge() {
+  if (!isLive) return;
+  els.liveBadge.classList.toggle('at-edge', seekableEnd() - els.vid.currentTime < LIVE_EDGE_SEC);
+}
+
+function goLive() {
+  const edge = hls?.liveSyncPosition ?? Math.max(0, seekableEnd() - 3);
+  if (edge) els.vid.currentTime = edge;
+  els.vid.play().catch(() => {});
+}
+
+els.liveBadge.onclick = goLive;
+els.vid.addEventListener('durationchange', () => { if (!hls) setLive(els.vid.duration === Infinity); });
+
 // =================== Time labels ===================
 els.vid.addEventListener('timeupdate', () => {
+  const dur = mediaDuration();
   els.tNow.textContent = fmt(els.vid.currentTime|0);
+  els.tDur.textContent = fmt(dur|0);
+  els.timelinePlayed.style.width = dur ? `${Math.min(100, (els.vid.currentTime / dur) * 100)}%` : '0%';
+  renderLiveBadge();
   if (document.activeElement !== els.commentSec) {
     els.commentSec.value = Math.floor(els.vid.currentTime) || 0;
   }
 });
 els.vid.addEventListener('loadedmetadata', () => {
-  els.tDur.textContent = fmt(els.vid.duration|0);
+  els.tDur.textContent = fmt(mediaDuration()|0);
+  renderHighlights(); // markers need the duration
+  renderEventMarkers();
 });
 
 // =================== Download MP4 via /api/clip ===================
@@ -213,7 +928,14 @@ function pollServerProgress(jobId, isDownloading, intervalMs = 500) {
       const j = await r.json();
       if (!isDownloading()) {
         const pct = Number.isFinite(j?.progress?.pct) ? j.progress.pct : 0;
-        setStatus(`Processing… ${pct}%`);
+        if (j?.status === 'queued' && j.queue) {
+          els.dlBar.classList.add('indeterminate');
+          setStatus(`Waiting in line… ${j.queue.position} of ${j.queue.length}`);
+        } else {
+          els.dlBar.classList.remove('indeterminate');
+          els.dlBar.style.width = `${pct}%`;
+          setStatus(`Processing… ${pct}%`);
+        }
       }
       if (j?.status === 'done' || j?.status === 'error' || j?.status === 'canceled') {
         clearInterval(id);
@@ -224,16 +946,63 @@ function pollServerProgress(jobId, isDownloading, intervalMs = 500) {
 }
 
 async function downloadClip() {
-  const code = (els.code.value || '').trim();
+  const code = currentCode;
+  const tag = currentSource?.label || 'clip';
   if (!code || !Number.isFinite(A) || !Number.isFinite(B) || B <= A) {
-    alert('Enter code and set valid A/B times.');
+    alert('Load a video and set valid A/B times.');
     return;
   }
   if (dlController) return;
 
   const jobId = (crypto.randomUUID?.() || (Date.now() + '_' + Math.random().toString(16).slice(2)));
-  const url = `/api/clip?code=${encodeURIComponent(code)}&start=${A.toFixed(2)}&end=${B.toFixed(2)}&job=${encodeURIComponent(jobId)}`;
+  let url = `/api/clip?code=${encodeURIComponent(code)}&start=${A.toFixed(2)}&end=${B.toFixed(2)}&job=${encodeURIComponent(jobId)}${els.exactCut?.checked ? '&accurate=1' : ''}`;
+  let suffix = '';
+  const aspect = els.exportFormat?.value || '';
+  if (aspect) {
+    url += `&aspect=${encodeURIComponent(aspect)}&crop=${encodeURIComponent(framingParam())}`;
+    suffix += `_${aspect.replace(':', 'x')}`;
+  }
+  const type = els.fileType?.value || 'mp4';
+  if (type !== 'mp4') {
+    // Chat-sized loops: no effects or branding, and only short ranges
+    if (B - A > MAX_ANIM_SEC) { alert(`GIF/WebP are limited to ${MAX_ANIM_SEC} seconds. Shorten A/B or download an MP4.`); return; }
+    await downloadMp4(`${url}&format=${type}`, { headers: playbackHeaders() }, `clip_${tag}_${A}-${B}${suffix}.${type}`, jobId);
+    return;
+  }
+  if (clipEffects().length) {
+    url += `&fx=${encodeURIComponent(effectsParam())}`;
+    suffix += '_fx';
+  }
+  if (els.brandClip?.checked) {
+    const title = (els.brandTitle?.value || '').trim();
+    const score = (els.brandScore?.value || '').trim();
+    url += `&brand=1${title ? '&title=' + encodeURIComponent(title) : ''}${score ? '&score=' + encodeURIComponent(score) : ''}`;
+    suffix += '_branded';
+  }
+  await downloadMp4(url, { headers: playbackHeaders() }, `clip_${tag}_${A}-${B}${suffix}.mp4`, jobId);
+}
 
+// One JPEG of the frame on screen, cropped to the current view for social formats
+async function downloadSnapshot() {
+  const code = currentCode;
+  const tag = currentSource?.label || 'clip';
+  if (!code || !els.vid.duration) { alert('Load a video first.'); return; }
+  if (dlController) return;
+
+  const t = els.vid.currentTime;
+  const jobId = (crypto.randomUUID?.() || (Date.now() + '_' + Math.random().toString(16).slice(2)));
+  let url = `/api/clip?code=${encodeURIComponent(code)}&format=jpg&start=${t.toFixed(2)}&end=${(t + 1).toFixed(2)}&at=${t.toFixed(2)}&job=${encodeURIComponent(jobId)}`;
+  let suffix = '';
+  const aspect = els.exportFormat?.value || '';
+  if (aspect) {
+    const { cx, cy, z } = currentFraming();
+    url += `&aspect=${encodeURIComponent(aspect)}&crop=${encodeURIComponent(`0:${cx.toFixed(3)}:${cy.toFixed(3)}:${z.toFixed(2)}`)}`;
+    suffix = `_${aspect.replace(':', 'x')}`;
+  }
+  await downloadMp4(url, { headers: playbackHeaders() }, `snap_${tag}_${Math.floor(t)}${suffix}.jpg`, jobId);
+}
+
+async function downloadMp4(url, init, name, jobId) {
   showProgress();
   dlController = new AbortController();
   let downloadStarted = false;
@@ -249,11 +1018,16 @@ async function downloadClip() {
   els.cancelDl.onclick = cancel;
 
   try {
-    const res = await fetch(url, { signal: dlController.signal });
+    const res = await fetch(url, { ...init, signal: dlController.signal });
     if (!res.ok) {
       const t = await res.text().catch(()=>res.statusText);
       hideProgress(); dlController = null; stopPolling?.();
-      alert('Download failed: ' + t);
+      const wait = Number(res.headers.get('Retry-After'));
+      if ((res.status === 429 || res.status === 503) && wait > 0) {
+        alert(`The clipper is busy. Please try again in ${wait < 90 ? wait + ' seconds' : Math.ceil(wait / 60) + ' minutes'}.`);
+      } else {
+        alert('Download failed: ' + t);
+      }
       return;
     }
 
@@ -277,12 +1051,12 @@ async function downloadClip() {
       els.dlBar.style.width = '100%';
       setStatus('Finalizing…');
 
-      const blob = new Blob(chunks, { type: 'video/mp4' });
-      const name = `clip_${code}_${A}-${B}.mp4`;
+      const type = res.headers.get('Content-Type') || 'video/mp4'; // gif/webp/jpg exports too
+      const blob = new Blob(chunks, { type });
 
-      if (navigator.share && navigator.canShare?.({ files:[new File([blob], name, { type:'video/mp4' })] })) {
+      if (navigator.share && navigator.canShare?.({ files:[new File([blob], name, { type })] })) {
         try {
-          await navigator.share({ files:[new File([blob], name, { type:'video/mp4' })], title:'Clip' });
+          await navigator.share({ files:[new File([blob], name, { type })], title:'Clip' });
           setStatus('Shared ✅');
           setTimeout(hideProgress, 800);
           stopPolling?.();
@@ -302,7 +1076,6 @@ async function downloadClip() {
       els.dlBar.classList.add('indeterminate');
       setStatus('Downloading…');
       const blob = await res.blob();
-      const name = `clip_${code}_${A}-${B}.mp4`;
       const a = Object.assign(document.createElement('a'), { href: URL.createObjectURL(blob), download: name });
       document.body.appendChild(a); a.click();
       setTimeout(() => { URL.revokeObjectURL(a.href); a.remove(); }, 1500);
@@ -326,6 +1099,67 @@ async function downloadClip() {
   }
 }
 
+// =================== Highlight reel (several A/B ranges → one MP4) ===================
+let reel = []; // [{ code, label, start, end, key }]
+
+function renderReel() {
+  els.reelList.innerHTML = '';
+  reel.forEach((r, i) => {
+    const row = document.createElement('div');
+    row.className = 'comment-item';
+    const label = document.createElement('div');
+    label.className = 'ctext';
+    label.textContent = `${i + 1}. ${r.label || r.code} · ${fmt(r.start)}–${fmt(r.end)}`;
+    const rm = document.createElement('button');
+    rm.className = 'secondary';
+    rm.textContent = 'Remove';
+    rm.onclick = () => { reel.splice(i, 1); renderReel(); };
+    row.append(label, rm);
+    els.reelList.appendChild(row);
+  });
+  const total = reel.reduce((s, r) => s + (r.end - r.start), 0);
+  els.reelInfo.textContent = reel.length ? `Reel: ${reel.length} range${reel.length > 1 ? 's' : ''}, ${fmt(total)}` : 'Reel: empty';
+  els.downloadReel.disabled = !reel.length;
+  els.clearReel.disabled = !reel.length;
+}
+
+function addRangeToReel() {
+  if (!currentCode || !Number.isFinite(A) || !Number.isFinite(B) || B <= A) {
+    alert('Load a game and set valid A/B times first.');
+    return;
+  }
+  // The share key only belongs to the game the page was opened with.
+  const key = currentCode === getQP('code') ? getQP('key') : null;
+  reel.push({ code: currentCode, label: currentSource?.label, start: A, end: B, key });
+  renderReel();
+}
+
+async function downloadReel() {
+  if (!reel.length || dlController) return;
+  const jobId = (crypto.randomUUID?.() || (Date.now() + '_' + Math.random().toString(16).slice(2)));
+
+  // Ranges may come from games loaded earlier, so fetch a fresh token per game.
+  const tokens = new Map();
+  try {
+    for (const r of reel) {
+      if (!tokens.has(r.code)) tokens.set(r.code, await fetchPlaybackToken(r.code, r.key));
+    }
+  } catch (e) {
+    alert('Could not open one of the games in your reel: ' + (e.message || e));
+    return;
+  }
+
+  await downloadMp4('/api/reel', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      job: jobId,
+      accurate: !!els.exactCut?.checked,
+      ranges: reel.map(r => ({ code: r.code, start: r.start, end: r.end, pt: tokens.get(r.code) })),
+    }),
+  }, `reel_${reel.length}_clips.mp4`, jobId);
+}
+
 // =================== Events ===================
 els.load.onclick = loadVideo;
 els.code.addEventListener('keydown', (e)=>{ if (e.key === 'Enter') loadVideo(); });
@@ -334,11 +1168,27 @@ els.setB.onclick = setB;
 els.preview.onclick = previewClip;
 els.cancelPreview.onclick = cancelPreview;
 els.download.onclick = downloadClip;
+els.snapshot.onclick = downloadSnapshot;
+els.fileType.onchange = () => { els.download.textContent = `Download ${els.fileType.selectedOptions[0].text}`; };
+els.addRange.onclick = addRangeToReel;
+els.clearReel.onclick = () => { reel = []; renderReel(); };
+els.downloadReel.onclick = downloadReel;
+els.vid.addEventListener('timeupdate', recordFraming);
+els.vid.addEventListener('timeupdate', previewEffects);
+els.addFx.onclick = addEffect;
+els.clearFx.onclick = () => { effects = []; renderEffects(); };
 els.chips.forEach(b => b.onclick = () => { els.vid.currentTime += Number(b.dataset.skip); });
 
 els.useCurrent.onclick = (e)=>{ e.preventDefault(); els.commentSec.value = Math.floor(els.vid.currentTime)||0; };
 els.addComment.onclick = (e)=>{ e.preventDefault(); addComment(); };
+els.authSend.onclick = (e)=>{ e.preventDefault(); sendAuthCode(); };
+els.authVerify.onclick = (e)=>{ e.preventDefault(); verifyAuthCode(); };
+els.authOut.onclick = (e)=>{ e.preventDefault(); signOut(); };
+
+try { setToken(localStorage.getItem(TOKEN_KEY)); } catch { renderAuth(); }
+renderReel();
+renderEffects();
 
-// Auto-load from ?code=...
+// Auto-load from ?code=... (game code, Stream UID or URL-encoded .m3u8 link)
 const qCode = getQP('code');
 if (qCode) { els.code.value = qCode; loadVideo(); }
@@ -9,9 +9,10 @@ const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const nodemailer = require('nodemailer');
 const Redis = require('ioredis');
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const twilio = require('twilio')(
   process.env.TWILIO_ACCOUNT_SID,
   process.env.TWILIO_AUTH_TOKEN
@@ -49,7 +50,8 @@ app.use(
   })
 );
 
-app.use(express.json());
+// Keep the raw bytes around so signed webhooks can be verified byte-for-byte.
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 // CORS: lock to your site in production (optional)
 const allowedOrigin = process.env.ALLOWED_ORIGIN || '*';
@@ -87,19 +89,31 @@ const client = new MongoClient(process.env.MONGO_URI, {
 });
 const redis = new Redis(process.env.REDIS_URL); // expect rediss://... for TLS
 
-let db, Users, Recordings;
+let db, Users, Recordings, Bookings, Cameras, OverlayTemplates;
 
 (async () => {
   await client.connect();
   db = client.db();
   Users = db.collection('users');
   Recordings = db.collection('recordings');
+  Bookings = db.collection('bookings');
+  Cameras = db.collection('cameras');
+  OverlayTemplates = db.collection('overlay_templates');
   console.log('Mongo initialized');
 
   // Useful indexes
   await Users.createIndex({ phone: 1 }, { unique: true });
   await Recordings.createIndex({ cameraId: 1, lockOwnerTokenId: 1 });
   await Recordings.createIndex({ status: 1, cameraId: 1, startedAt: -1 });
+  await Recordings.createIndex({ cameraId: 1, requestedAt: -1 });
+  await Recordings.createIndex({ videoCode: 1 }, { sparse: true });
+  await Recordings.createIndex({ smsStatus: 1, smsNextAttemptAt: 1 }, { sparse: true });
+  await Recordings.createIndex({ phone: 1, requestedAt: -1 });
+  await Bookings.createIndex({ cameraId: 1, start: 1 });
+  await Bookings.createIndex({ status: 1, start: 1 });
+  await Bookings.createIndex({ phone: 1, start: -1 });
+  await Cameras.createIndex({ cameraId: 1 }, { unique: true });
+  await OverlayTemplates.createIndex({ venue: 1 }, { unique: true });
 })().catch(err => {
   console.warn('Mongo init failed; continuing without Mongo:', err.message);
 });
@@ -172,6 +186,7 @@ function toIsraeliLocalPhone(value) {
 }
 // ── Redis lock helpers (owner-checked unlock) ────────────────────────────────
 const REQUEST_LOCK_TTL_SEC = Number(process.env.REQUEST_LOCK_TTL_SEC || 60);
+const RECORDING_LOCK_TTL_SEC = Number(process.env.RECORDING_LOCK_TTL_SEC || 300);
 const OTP_LIMIT_SEC = Number(process.env.OTP_LIMIT_SEC || 60);
 
 const UNLOCK_LUA = `
@@ -183,6 +198,15 @@ const UNLOCK_LUA = `
     return 0
   end
 `;
+const EXTEND_LUA = `
+  local key   = KEYS[1]
+  local owner = ARGV[1]
+  if redis.call("GET", key) == owner then
+    return redis.call("EXPIRE", key, ARGV[2])
+  else
+    return 0
+  end
+`;
 
 const lockKey = (cameraId) => `camera:${cameraId}:lock`;
 const requestLockKey = (cameraId) => `camera:${cameraId}:request`;
@@ -190,6 +214,13 @@ const requestLockKey = (cameraId) => `camera:${cameraId}:request`;
 async function currentLockOwner(cameraId) {
   return redis.get(lockKey(cameraId)); // returns raw owner string or null
 }
+async function acquireLock(cameraId, ownerString, ttlSec = RECORDING_LOCK_TTL_SEC) {
+  const ok = await redis.set(lockKey(cameraId), ownerString, 'NX', 'EX', ttlSec);
+  return ok === 'OK';
+}
+async function extendLockIfOwner(cameraId, ownerString, ttlSec = RECORDING_LOCK_TTL_SEC) {
+  return redis.eval(EXTEND_LUA, 1, lockKey(cameraId), ownerString, ttlSec);
+}
 async function releaseLockIfOwner(cameraId, ownerString) {
   return redis.eval(UNLOCK_LUA, 1, lockKey(cameraId), ownerString);
 }
@@ -201,6 +232,320 @@ async function releaseRequestLockIfOwner(cameraId, ownerString) {
   return redis.eval(UNLOCK_LUA, 1, requestLockKey(cameraId), ownerString);
 }
 
+// ── Recording lifecycle ─────────────────────────────────────────────────────
+// requested → active → stopped → delivered; any open state may end in failed.
+// Each transition stamps its own timestamp and appends to `history` so staff can
+// see exactly what happened to a session.
+const OPEN_RECORDING_STATES = ['requested', 'active', 'stopped'];
+const RECORDING_FLOW = {
+  active: ['requested'],
+  stopped: ['requested', 'active'],
+  delivered: ['stopped'],
+  failed: OPEN_RECORDING_STATES
+};
+const RECORDING_TIMESTAMP = {
+  active: 'startedAt',
+  stopped: 'stoppedAt',
+  delivered: 'deliveredAt',
+  failed: 'failedAt'
+};
+const START_CONFIRM_TIMEOUT_SEC = Number(process.env.START_CONFIRM_TIMEOUT_SEC || 180);
+const RECONCILE_INTERVAL_SEC = Number(process.env.RECONCILE_INTERVAL_SEC || 30);
+
+function parseDateOr(value, fallback) {
+  const d = typeof value === 'string' ? new Date(value) : null;
+  return d && !Number.isNaN(d.getTime()) ? d : fallback;
+}
+
+// Moves the newest recording matching `filter` to `to` if the flow allows it.
+// Resolves to the updated document, or null when no recording could move.
+async function transitionRecording(filter, to, fields = {}, at = new Date()) {
+  const { note, ...extra } = fields;
+  return Recordings.findOneAndUpdate(
+    { ...filter, status: { $in: RECORDING_FLOW[to] } },
+    {
+      $set: { ...extra, status: to, [RECORDING_TIMESTAMP[to]]: at, updatedAt: new Date() },
+      $push: { history: { status: to, at, ...(note ? { note } : {}) } }
+    },
+    { sort: { requestedAt: -1 }, returnDocument: 'after' }
+  );
+}
+async function failRecording(filter, reason) {
+  return transitionRecording(filter, 'failed', { failureReason: reason, note: reason });
+}
+// ── Playback access ─────────────────────────────────────────────────────────
+// public: anyone with the code · link: code + shareKey (the link we text) ·
+// owner: only the recording phone (or staff). Codes without a Recordings row
+// predate visibility and stay public.
+const VISIBILITIES = ['public', 'link', 'owner'];
+const DEFAULT_VISIBILITY = VISIBILITIES.includes(process.env.DEFAULT_VISIBILITY)
+  ? process.env.DEFAULT_VISIBILITY
+  : 'link';
+const PLAYBACK_TOKEN_TTL = process.env.PLAYBACK_TOKEN_TTL || '15m';
+// Own secret, shared with the clipper and the video worker only: a leaked
+// worker key must not mint sign-ins.
+const PLAYBACK_SECRET = process.env.PLAYBACK_SECRET || '';
+const STAFF_ROLES = ['staff', 'admin'];
+
+function makeShareKey() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+function sameSecret(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+// The clipper accepts a game under other spellings too (r2:<code>,
+// stream:<uid>, a …/videos/<code>/… playlist URL). Tokens are only issued for
+// the bare id, so an alias can never stand in for a private game.
+function playbackCode(raw) {
+  const prefixed = raw.match(/^(?:r2|stream):(.+)$/);
+  if (prefixed) return prefixed[1];
+  return /^[a-z][a-z0-9+.-]*:/i.test(raw) && /\/videos\/[^/]+\//.test(raw) ? null : raw;
+}
+// Vercel sets x-real-ip itself (a client cannot); anywhere else, the peer.
+function clientIp(req) {
+  return (process.env.VERCEL && req.headers['x-real-ip']) || req.socket?.remoteAddress || '';
+}
+function canPlay(rec, { key, claims }) {
+  if (!rec || (rec.visibility || 'public') === 'public') return true;
+  if (claims && (claims.phone === rec.phone || STAFF_ROLES.includes(claims.role))) return true;
+  return rec.visibility === 'link' && sameSecret(key, rec.shareKey);
+}
+// Optional auth: a bad or missing token simply means "anonymous".
+function claimsFromReq(req) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return null;
+  try {
+    return verifyJwtOrThrow401(token);
+  } catch {
+    return null;
+  }
+}
+
+// Live = the camera already writes a growing playlist under videoCode. The
+// game gets its visibility and share key now, so live links keep working
+// after delivery. Only the first code a recording reports counts.
+async function startLive(filter, videoCode) {
+  return Recordings.findOneAndUpdate(
+    { ...filter, status: 'active', videoCode: { $exists: false } },
+    { $set: { videoCode, visibility: DEFAULT_VISIBILITY, shareKey: makeShareKey(), updatedAt: new Date() } },
+    { sort: { requestedAt: -1 }, returnDocument: 'after' }
+  );
+}
+// Only the lock holder (the phone that started the game) gets the share key,
+// the same link it is texted at delivery. Anyone else at the pitch sees the
+// live link of a public game only.
+function liveWatchUrl(rec, { holder = false } = {}) {
+  if (rec?.status !== 'active' || !rec.videoCode) return undefined;
+  if ((rec.visibility || 'public') === 'public') return watchUrl(rec.videoCode);
+  if (!holder) return undefined;
+  return watchUrl(rec.videoCode, rec.visibility === 'link' ? rec.shareKey : undefined);
+}
+
+// Delivered = the game is watchable under videoCode; queues the player SMS.
+async function deliverRecording(filter, videoCode, note) {
+  const live = await Recordings.findOne(filter, { sort: { requestedAt: -1 }, projection: { visibility: 1, shareKey: 1 } });
+  const rec = await transitionRecording(filter, 'delivered', {
+    videoCode,
+    visibility: live?.visibility || DEFAULT_VISIBILITY,
+    shareKey: live?.shareKey || makeShareKey(),
+    smsStatus: 'pending',
+    smsAttempts: 0,
+    smsNextAttemptAt: new Date(),
+    ...(note ? { note } : {})
+  });
+  if (rec) {
+    await sendDeliverySms(rec._id);
+    await requestPackaging(rec.videoCode);
+  }
+  return rec;
+}
+// Quality levels are a full-game encode on the clipper, so only delivery (or
+// staff, from the admin console) starts one, never a viewer opening the game.
+async function requestPackaging(videoCode) {
+  const clipper = (process.env.CLIPPER_URL || '').replace(/\/+$/, '');
+  if (!clipper || !videoCode) return;
+  const token = jwt.sign({ code: videoCode }, process.env.JWT_SECRET, { audience: 'package', expiresIn: '5m' });
+  await axios.post(`${clipper}/package/${encodeURIComponent(videoCode)}`, {}, {
+    timeout: 5000,
+    headers: { Authorization: `Bearer ${token}` }
+  }).catch(e => {
+    if (e.response?.status !== 409) console.warn(`Packaging request failed for ${videoCode}:`, e.message);
+  });
+}
+async function releaseRecordingLock(rec) {
+  return releaseLockIfOwner(rec.cameraId, `${rec.cameraId}:${rec.lockOwnerTokenId}`).catch(e => {
+    console.warn(`Lock release failed for ${rec.cameraId}:`, e.message);
+  });
+}
+
+// Normalized camera status, or null when the status endpoint answers garbage.
+async function fetchCameraStatus(cameraId) {
+  const upstream = await axios.get(getCameraStatusUrl(), {
+    params: { cameraId },
+    timeout: 8000
+  });
+  const data = upstream.data || {};
+  if (typeof data.available !== 'boolean') return null;
+  return {
+    available: data.available,
+    recording: Boolean(data.recording),
+    status: typeof data.status === 'string' ? data.status : undefined,
+    start: typeof data.start === 'string' ? data.start : undefined,
+    until: typeof data.until === 'string' ? data.until : undefined,
+    videoCode: typeof data.videoCode === 'string' && data.videoCode ? data.videoCode : undefined
+  };
+}
+
+// Brings the newest open recording of a camera in line with what the camera reports.
+async function reconcileCamera(cameraId, cam) {
+  if (!Recordings || !getCameraStatusUrl()) return null;
+  let rec = await Recordings.findOne(
+    { cameraId, status: { $in: OPEN_RECORDING_STATES } },
+    { sort: { requestedAt: -1 } }
+  );
+  if (!rec) return null;
+
+  cam = cam || await fetchCameraStatus(cameraId);
+  if (!cam) return rec;
+
+  const byId = { _id: rec._id };
+  if (rec.status === 'requested') {
+    if (cam.recording) {
+      rec = await transitionRecording(byId, 'active', {}, parseDateOr(cam.start, new Date())) || rec;
+    } else if (Date.now() - rec.requestedAt.getTime() > START_CONFIRM_TIMEOUT_SEC * 1000) {
+      const failed = await failRecording(byId, 'Camera never reported the recording as started');
+      await releaseRecordingLock(rec);
+      return failed || rec;
+    }
+  }
+  if (rec.status === 'active' && cam.recording && cam.videoCode && !rec.videoCode) {
+    rec = await startLive(byId, cam.videoCode) || rec;
+  }
+  if (rec.status === 'active' && !cam.recording) {
+    rec = await transitionRecording(byId, 'stopped') || rec;
+    await releaseRecordingLock(rec);
+  }
+  if (rec.status === 'stopped' && !cam.recording && (rec.videoCode || cam.videoCode)) {
+    rec = await deliverRecording(byId, rec.videoCode || cam.videoCode) || rec;
+  }
+  return rec;
+}
+
+async function reconcileOpenRecordings() {
+  if (!Recordings) return;
+  const cameraIds = await Recordings.distinct('cameraId', { status: { $in: OPEN_RECORDING_STATES } });
+  for (const cameraId of cameraIds) {
+    try {
+      await reconcileCamera(cameraId);
+    } catch (e) {
+      console.warn(`Reconcile failed for ${cameraId}:`, e.message);
+    }
+  }
+}
+
+// ── Delivery SMS ────────────────────────────────────────────────────────────
+// Each attempt is appended to `deliveryLog`; failures retry with exponential
+// backoff until SMS_MAX_ATTEMPTS, then staff get an email.
+const SMS_MAX_ATTEMPTS = Number(process.env.SMS_MAX_ATTEMPTS || 5);
+const SMS_RETRY_BASE_SEC = Number(process.env.SMS_RETRY_BASE_SEC || 60);
+const SMS_SEND_LEASE_SEC = 120;
+
+function watchUrl(videoCode, shareKey) {
+  const base = (process.env.PUBLIC_SITE_URL || '').replace(/\/+$/, '');
+  const key = shareKey ? `&key=${encodeURIComponent(shareKey)}` : '';
+  return `${base}/watch.html?code=${encodeURIComponent(videoCode)}${key}`;
+}
+function smsSender() {
+  if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
+    return { messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID };
+  }
+  if (process.env.TWILIO_FROM) return { from: process.env.TWILIO_FROM };
+  throw new Error('No SMS sender configured (TWILIO_MESSAGING_SERVICE_SID or TWILIO_FROM)');
+}
+
+async function sendDeliverySms(recordingId) {
+  const now = new Date();
+  // Claim the attempt so concurrent sweeps/webhooks never text twice.
+  const rec = await Recordings.findOneAndUpdate(
+    {
+      _id: recordingId,
+      status: 'delivered',
+      smsStatus: { $in: ['pending', 'sending'] },
+      smsNextAttemptAt: { $lte: now }
+    },
+    {
+      $set: { smsStatus: 'sending', smsNextAttemptAt: new Date(now.getTime() + SMS_SEND_LEASE_SEC * 1000) },
+      $inc: { smsAttempts: 1 }
+    },
+    { returnDocument: 'after' }
+  );
+  if (!rec) return null;
+
+  const attempt = { at: now, attempt: rec.smsAttempts, to: rec.phone };
+  try {
+    if (!process.env.PUBLIC_SITE_URL) throw new Error('PUBLIC_SITE_URL is not set');
+    const msg = await twilio.messages.create({
+      to: rec.phone,
+      body: `Hatrick: your game video is ready 🎥 ${watchUrl(rec.videoCode, rec.shareKey)}`,
+      ...smsSender()
+    });
+    await Recordings.updateOne(
+      { _id: rec._id },
+      {
+        $set: { smsStatus: 'sent', smsSentAt: new Date() },
+        $unset: { smsNextAttemptAt: '' },
+        $push: { deliveryLog: { ...attempt, ok: true, sid: msg.sid } }
+      }
+    );
+    return 'sent';
+  } catch (e) {
+    const gaveUp = rec.smsAttempts >= SMS_MAX_ATTEMPTS;
+    const retryAt = new Date(Date.now() + SMS_RETRY_BASE_SEC * 1000 * 2 ** (rec.smsAttempts - 1));
+    await Recordings.updateOne(
+      { _id: rec._id },
+      {
+        $set: gaveUp ? { smsStatus: 'failed' } : { smsStatus: 'pending', smsNextAttemptAt: retryAt },
+        ...(gaveUp ? { $unset: { smsNextAttemptAt: '' } } : {}),
+        $push: { deliveryLog: { ...attempt, ok: false, error: e.message } }
+      }
+    );
+    console.warn(`Delivery SMS attempt ${rec.smsAttempts} failed for ${rec._id}:`, e.message);
+    if (gaveUp) {
+      await sendEmail(
+        `⚠️ Video SMS not delivered on ${rec.cameraId}`,
+        `Could not text ${rec.phone} the link for ${rec.videoCode} after ${rec.smsAttempts} attempts: ${e.message}`
+      );
+    }
+    return gaveUp ? 'failed' : 'pending';
+  }
+}
+
+async function retryPendingSms() {
+  if (!Recordings) return;
+  const due = await Recordings.find(
+    { status: 'delivered', smsStatus: { $in: ['pending', 'sending'] }, smsNextAttemptAt: { $lte: new Date() } },
+    { projection: { _id: 1 } }
+  ).limit(20).toArray();
+  for (const { _id } of due) {
+    await sendDeliverySms(_id);
+  }
+}
+
+function publicRecording(rec) {
+  return {
+    status: rec.status,
+    requestedAt: rec.requestedAt,
+    startedAt: rec.startedAt,
+    stoppedAt: rec.stoppedAt,
+    deliveredAt: rec.deliveredAt,
+    videoCode: rec.videoCode,
+    failureReason: rec.failureReason,
+    smsStatus: rec.smsStatus
+  };
+}
+
 // ── Twilio OTP endpoints ────────────────────────────────────────────────────
 app.post('/auth/send-otp', async (req, res) => {
   try {
@@ -233,7 +578,9 @@ app.post('/auth/verify-otp', async (req, res) => {
     const { cameraId, code } = req.body || {};
     const phone = normalizeIsraeliPhone(req.body?.phone);
     if (!phone) return res.status(400).json({ error: 'Invalid Israeli mobile number' });
-    if (!code || !cameraId)
+    // cameraId is only present when verifying from a pitch QR link (record.html);
+    // the watch page verifies without one to comment under the player's identity.
+    if (!code)
       return res.status(400).json({ error: 'Missing fields' });
 
     const check = await twilio.verify.v2
@@ -243,16 +590,15 @@ app.post('/auth/verify-otp', async (req, res) => {
     if (check.status !== 'approved')
       return res.status(400).json({ error: 'Invalid code' });
 
-    const lockOwnerTokenId = Math.random().toString(36).slice(2);
-    const token = signJwt({ phone, cameraId, lockOwnerTokenId }, '2h');
-
+    let role = 'player';
     try {
       if (Users) {
-        await Users.updateOne(
+        const user = await Users.findOneAndUpdate(
           { phone },
           { $setOnInsert: { phone, createdAt: new Date() } },
-          { upsert: true }
+          { upsert: true, returnDocument: 'after' }
         );
+        if (typeof user?.role === 'string') role = user.role;
       } else {
         console.warn('Mongo Users collection not ready; skipping user upsert');
       }
@@ -260,12 +606,78 @@ app.post('/auth/verify-otp', async (req, res) => {
       console.warn('User upsert failed; continuing verification:', e.message);
     }
 
-    res.json({ token });
+    const lockOwnerTokenId = Math.random().toString(36).slice(2);
+    const token = signJwt({ phone, cameraId: cameraId || undefined, lockOwnerTokenId, role }, '2h');
+
+    res.json({ token, role });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// ── Camera control ──────────────────────────────────────────────────────────
+function describeCameraError(action, e) {
+  const upstreamStatus = e.response?.status;
+  return upstreamStatus ? `Camera ${action} returned HTTP ${upstreamStatus}` : `Camera ${action} failed: ${e.message}`;
+}
+
+// Claims the camera lock, records the request and asks the camera to start.
+// On any failure the recording is marked failed, the lock released, and the
+// error rethrown (axios errors keep their upstream response for the caller).
+async function startRecording({ cameraId, phone, lockOwnerTokenId, lockTtlSec, bookingId }) {
+  const ownerString = `${cameraId}:${lockOwnerTokenId}`;
+  if (!(await acquireLock(cameraId, ownerString, lockTtlSec))) {
+    const err = new Error('This camera is already recording for another player');
+    err.statusCode = 409;
+    throw err;
+  }
+
+  let recordingId = null;
+  try {
+    const requestedAt = new Date();
+    ({ insertedId: recordingId } = await Recordings.insertOne({
+      cameraId,
+      phone,
+      requestedAt,
+      status: 'requested',
+      lockOwnerTokenId,
+      ...(bookingId ? { bookingId } : {}),
+      history: [{ status: 'requested', at: requestedAt }]
+    }));
+
+    // Request recording using the verified phone identity.
+    const url = getCameraUrl('start', cameraId);
+    const localPhone = toIsraeliLocalPhone(phone);
+    // recordingId is echoed back by the camera controller on /webhooks/camera.
+    const recordingRequest = { phone: localPhone, recordingId: String(recordingId) };
+    console.log('Requesting recording', { phone: localPhone, cameraId, hasTime: false, booked: !!bookingId });
+    await axios.post(url, recordingRequest, {
+      timeout: 8000,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    return recordingId;
+  } catch (e) {
+    if (recordingId) {
+      await failRecording({ _id: recordingId }, describeCameraError('start', e)).catch(err => {
+        console.error('recording failure update failed:', err.message);
+      });
+    }
+    await releaseLockIfOwner(cameraId, ownerString).catch(err => {
+      console.error('camera lock release failed:', err.message);
+    });
+    throw e;
+  }
+}
+
+async function stopRecording(cameraId, lockOwnerTokenId, note) {
+  const url = getCameraUrl('stop', cameraId);
+  await axios.post(url, {}, { timeout: 8000 });
+
+  await transitionRecording({ cameraId, lockOwnerTokenId }, 'stopped', { note });
+
+  await releaseLockIfOwner(cameraId, `${cameraId}:${lockOwnerTokenId}`);
+}
+
 // ── Start Recording ─────────────────────────────────────────────────────────
 app.post('/record/start', async (req, res) => {
   let requestLockOwner = null;
@@ -276,6 +688,7 @@ app.post('/record/start', async (req, res) => {
     if (!token) return res.status(401).json({ error: 'No token' });
 
     const { phone, cameraId, lockOwnerTokenId } = verifyJwtOrThrow401(token);
+    if (!cameraId) return res.status(400).json({ error: 'Token is not linked to a camera' });
     const localPhone = toIsraeliLocalPhone(phone);
     if (!localPhone) return res.status(400).json({ error: 'Invalid Israeli mobile number' });
 
@@ -290,22 +703,19 @@ app.post('/record/start', async (req, res) => {
     }
     requestLockAcquired = true;
 
-    // Request recording using the verified phone identity.
-    const url = getCameraUrl('start', cameraId);
-    const recordingRequest = { phone: localPhone };
-    console.log('Requesting recording', { phone: localPhone, cameraId, hasTime: false });
-    await axios.post(url, recordingRequest, {
-      timeout: 8000,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    const now = new Date();
+    if (await bookingAt(cameraId, now)) {
+      return res.status(409).json({ error: 'This pitch is booked right now' });
+    }
+    // A walk-in needs at least one lock period before the next booking.
+    const upcoming = await bookingStartingWithin(cameraId, now, RECORDING_LOCK_TTL_SEC);
+    if (upcoming) {
+      return res.status(409).json({ error: `This pitch is booked from ${formatVenueTime(upcoming.start).slice(-5)}` });
+    }
 
-    await Recordings.insertOne({
-      cameraId,
-      phone,
-      requestedAt: new Date(),
-      status: 'requested',
-      lockOwnerTokenId
-    });
+    // Claim the camera for the whole recording: /record/heartbeat keeps the claim
+    // alive, /record/stop (or the camera reporting a stop) releases it.
+    await startRecording({ cameraId, phone, lockOwnerTokenId });
 
     await sendEmail(`🎥 Recording requested on ${cameraId}`, `${phone} requested recording.`);
     res.json({ ok: true });
@@ -321,7 +731,7 @@ app.post('/record/start', async (req, res) => {
       return res.status(503).json({ error: 'Recording service is temporarily unavailable' });
     }
     const code = e.statusCode || 500;
-    res.status(code).json({ error: code === 401 ? e.message : 'Unable to complete recording request' });
+    res.status(code).json({ error: code === 401 || code === 409 ? e.message : 'Unable to complete recording request' });
   } finally {
     try {
       if (requestLockAcquired && requestCameraId && requestLockOwner) {
@@ -340,6 +750,7 @@ app.post('/record/stop', async (req, res) => {
     if (!token) return res.status(401).json({ error: 'No token' });
 
     const { cameraId, lockOwnerTokenId } = verifyJwtOrThrow401(token);
+    if (!cameraId) return res.status(400).json({ error: 'Token is not linked to a camera' });
 
     const current = await currentLockOwner(cameraId);
     if (!current) return res.status(400).json({ error: 'No active recording' });
@@ -349,15 +760,7 @@ app.post('/record/stop', async (req, res) => {
       return res.status(403).json({ error: 'You are not the one who started recording' });
     }
 
-    const url = getCameraUrl('stop', cameraId);
-    await axios.post(url, {}, { timeout: 8000 });
-
-    await Recordings.updateOne(
-      { cameraId, lockOwnerTokenId, status: 'active' },
-      { $set: { status: 'stopped', stoppedAt: new Date() } }
-    );
-
-    await releaseLockIfOwner(cameraId, ownerString);
+    await stopRecording(cameraId, lockOwnerTokenId, 'Stopped by player');
     res.json({ ok: true });
   } catch (e) {
     const code = e.statusCode || 500;
@@ -365,28 +768,130 @@ app.post('/record/stop', async (req, res) => {
   }
 });
 
+// ── Camera webhook ──────────────────────────────────────────────────────────
+// Camera controllers POST status events here, signed with CAMERA_WEBHOOK_SECRET:
+//   X-Camera-Timestamp: <unix seconds>
+//   X-Camera-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// Body: { event, cameraId, recordingId?, videoCode?, at?, reason? } where event is
+// recording.started | recording.finished | recording.failed | video.ready.
+// A videoCode on recording.started means the game can be watched live.
+const WEBHOOK_TOLERANCE_SEC = Number(process.env.WEBHOOK_TOLERANCE_SEC || 300);
+const CAMERA_EVENTS = ['recording.started', 'recording.finished', 'recording.failed', 'video.ready'];
+
+function verifyCameraSignature(req) {
+  const secret = process.env.CAMERA_WEBHOOK_SECRET;
+  const timestamp = String(req.headers['x-camera-timestamp'] || '');
+  const signature = String(req.headers['x-camera-signature'] || '').replace(/^sha256=/, '');
+  if (!secret || !timestamp || !signature || !req.rawBody) return false;
+  // NaN compares false with everything, so a non-numeric timestamp would skip the window
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > WEBHOOK_TOLERANCE_SEC) return false;
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(req.rawBody)
+    .digest('hex');
+  const a = Buffer.from(signature, 'hex');
+  const b = Buffer.from(expected, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function findWebhookRecording({ cameraId, recordingId }) {
+  if (recordingId && ObjectId.isValid(recordingId)) {
+    return Recordings.findOne({ _id: new ObjectId(recordingId), cameraId });
+  }
+  return Recordings.findOne(
+    { cameraId, status: { $in: OPEN_RECORDING_STATES } },
+    { sort: { requestedAt: -1 } }
+  );
+}
+
+app.post('/webhooks/camera', async (req, res) => {
+  try {
+    if (!verifyCameraSignature(req)) return res.status(401).json({ error: 'Invalid signature' });
+
+    const { event, cameraId, recordingId, videoCode, reason } = req.body || {};
+    if (!CAMERA_EVENTS.includes(event)) return res.status(400).json({ error: 'Unknown event' });
+    if (typeof cameraId !== 'string' || !cameraId) return res.status(400).json({ error: 'cameraId required' });
+    if (event === 'video.ready' && (typeof videoCode !== 'string' || !videoCode)) {
+      return res.status(400).json({ error: 'videoCode required' });
+    }
+    if (!Recordings) return res.status(503).json({ error: 'Recordings unavailable' });
+
+    let rec = await findWebhookRecording({ cameraId, recordingId });
+    if (!rec) return res.status(404).json({ error: 'No matching recording' });
+
+    const at = parseDateOr(req.body.at, new Date());
+    const byId = { _id: rec._id };
+    const note = `webhook ${event}`;
+    const code = typeof videoCode === 'string' && videoCode ? { videoCode } : {};
+
+    if (event === 'recording.started') {
+      rec = await transitionRecording(byId, 'active', { note }, at) || rec;
+      if (code.videoCode) rec = await startLive(byId, code.videoCode) || rec;
+    } else if (event === 'recording.finished') {
+      rec = await transitionRecording(byId, 'stopped', { ...code, note }, at) || rec;
+      if (code.videoCode && !rec.videoCode) {
+        rec = await Recordings.findOneAndUpdate(byId, { $set: code }, { returnDocument: 'after' }) || rec;
+      }
+      await releaseRecordingLock(rec);
+    } else if (event === 'recording.failed') {
+      rec = await failRecording(byId, typeof reason === 'string' && reason ? reason : 'Camera reported a failure') || rec;
+      await releaseRecordingLock(rec);
+    } else if (event === 'video.ready') {
+      // A controller may skip recording.finished; close the recording first.
+      rec = await transitionRecording(byId, 'stopped', { note }, at) || rec;
+      await releaseRecordingLock(rec);
+      rec = await deliverRecording(byId, videoCode, note) || rec;
+    }
+
+    // No background loop on Vercel: webhook traffic also drives SMS retries.
+    await retryPendingSms().catch(e => console.warn('SMS retry sweep failed:', e.message));
+
+    console.log('Camera webhook', { event, cameraId, recordingId: String(rec._id), status: rec.status });
+    res.json({ ok: true, recordingId: String(rec._id), status: rec.status });
+  } catch (e) {
+    console.error('camera webhook failed:', e.message);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
 // ── Status + Heartbeat ──────────────────────────────────────────────────────
 app.get('/record/status', async (req, res) => {
   try {
     const { cameraId } = req.query;
     if (!cameraId) return res.status(400).json({ error: 'cameraId required' });
-    const statusUrl = getCameraStatusUrl();
-    if (!statusUrl) return res.status(503).json({ error: 'Recording status unavailable' });
+    if (!getCameraStatusUrl()) return res.status(503).json({ error: 'Recording status unavailable' });
 
-    const upstream = await axios.get(statusUrl, {
-      params: { cameraId },
-      timeout: 8000
-    });
-    const data = upstream.data || {};
-    if (typeof data.available !== 'boolean') {
+    const cam = await fetchCameraStatus(cameraId);
+    if (!cam) {
       return res.status(502).json({ error: 'Recording status unavailable' });
     }
+    const rec = await reconcileCamera(cameraId, cam).catch(e => {
+      console.warn(`Reconcile failed for ${cameraId}:`, e.message);
+    });
+    // No login here (only a cameraId), so only a public game's live link.
+    const live = liveWatchUrl(rec);
+    // A booking covering "now" makes the pitch unavailable even if the camera is idle.
+    const booking = await bookingAt(String(cameraId), new Date()).catch(() => null);
+    if (booking) {
+      return res.json({
+        available: false,
+        recording: cam.recording,
+        status: 'booked',
+        start: formatVenueTime(booking.start),
+        until: formatVenueTime(booking.end),
+        liveUrl: live
+      });
+    }
     res.json({
-      available: data.available,
-      recording: Boolean(data.recording),
-      status: typeof data.status === 'string' ? data.status : undefined,
-      start: typeof data.start === 'string' ? data.start : undefined,
-      until: typeof data.until === 'string' ? data.until : undefined
+      available: cam.available,
+      recording: cam.recording,
+      status: cam.status,
+      start: cam.start,
+      until: cam.until,
+      liveUrl: live
     });
   } catch {
     res.status(503).json({ error: 'Recording status unavailable' });
@@ -397,14 +902,714 @@ app.post('/record/heartbeat', async (req, res) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) return res.status(401).json({ error: 'No token' });
-    verifyJwtOrThrow401(token);
-    res.json({ ok: true, trackingRecordingState: false });
+    const { cameraId, lockOwnerTokenId } = verifyJwtOrThrow401(token);
+    if (!cameraId) return res.json({ ok: true, trackingRecordingState: false });
+
+    // A walk-in's claim never runs past the next booking's start.
+    const now = new Date();
+    const upcoming = await bookingStartingWithin(cameraId, now, RECORDING_LOCK_TTL_SEC).catch(() => null);
+    const ttlSec = upcoming ? Math.max(1, Math.ceil((upcoming.start - now) / 1000)) : RECORDING_LOCK_TTL_SEC;
+    const lockHeld = (await extendLockIfOwner(cameraId, `${cameraId}:${lockOwnerTokenId}`, ttlSec)) === 1;
+    if (!Recordings) return res.json({ ok: true, lockHeld, trackingRecordingState: false });
+
+    await reconcileCamera(cameraId).catch(e => {
+      console.warn(`Reconcile failed for ${cameraId}:`, e.message);
+    });
+    const rec = await Recordings.findOne({ cameraId, lockOwnerTokenId }, { sort: { requestedAt: -1 } });
+    res.json({
+      ok: true,
+      lockHeld,
+      trackingRecordingState: true,
+      recording: rec ? publicRecording(rec) : null,
+      liveUrl: liveWatchUrl(rec, { holder: true })
+    });
   } catch (e) {
     const code = e.statusCode || 500;
     res.status(code).json({ error: code === 401 ? e.message : 'Heartbeat unavailable' });
   }
 });
 
+// ── My games ────────────────────────────────────────────────────────────────
+const MY_GAMES_LIMIT = 100;
+
+function myGame(rec) {
+  const duration = rec.startedAt && rec.stoppedAt
+    ? Math.max(0, Math.round((rec.stoppedAt - rec.startedAt) / 1000))
+    : null;
+  return {
+    id: String(rec._id),
+    cameraId: rec.cameraId,
+    date: rec.startedAt || rec.requestedAt,
+    duration,
+    status: rec.status,
+    // only hand out the watch code once the video is actually published
+    code: rec.status === 'delivered' ? rec.videoCode : undefined,
+    key: rec.status === 'delivered' ? rec.shareKey : undefined,
+    visibility: rec.status === 'delivered' ? rec.visibility || 'public' : undefined
+  };
+}
+
+app.get('/me/recordings', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ error: 'No token' });
+
+    const { phone } = verifyJwtOrThrow401(token);
+    if (!phone) return res.status(401).json({ error: 'Invalid or expired token' });
+    if (!Recordings) return res.status(503).json({ error: 'Recordings unavailable' });
+
+    const recs = await Recordings.find({ phone })
+      .sort({ requestedAt: -1 })
+      .limit(MY_GAMES_LIMIT)
+      .toArray();
+    res.json({ recordings: recs.map(myGame) });
+  } catch (e) {
+    const code = e.statusCode || 500;
+    res.status(code).json({ error: code === 401 ? e.message : 'Unable to load your games' });
+  }
+});
+
+// Owner changes who may watch a delivered game.
+app.patch('/me/recordings/:id', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ error: 'No token' });
+
+    const { phone } = verifyJwtOrThrow401(token);
+    const { visibility } = req.body || {};
+    if (!VISIBILITIES.includes(visibility)) return res.status(400).json({ error: 'Invalid visibility' });
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Recording not found' });
+    if (!Recordings) return res.status(503).json({ error: 'Recordings unavailable' });
+
+    const rec = await Recordings.findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), phone, status: 'delivered' },
+      { $set: { visibility, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!rec) return res.status(404).json({ error: 'Recording not found' });
+    res.json({ ok: true, recording: myGame(rec) });
+  } catch (e) {
+    const code = e.statusCode || 500;
+    res.status(code).json({ error: code === 401 ? e.message : 'Unable to update recording' });
+  }
+});
+
+// ── Playback tokens ─────────────────────────────────────────────────────────
+// Short-lived token the player passes to the clipper (/clip, /probe, /comments)
+// and on every HLS request; the video worker verifies it with PLAYBACK_SECRET
+// (contract in mp4-clipper/sources.js).
+app.post('/playback/token', async (req, res) => {
+  try {
+    const raw = typeof req.body?.code === 'string' ? req.body.code.trim() : '';
+    if (!raw) return res.status(400).json({ error: 'code is required' });
+    const code = playbackCode(raw);
+    if (!code) return res.status(400).json({ error: 'Use the game code, not its playlist URL' });
+    if (!Recordings || !PLAYBACK_SECRET) return res.status(503).json({ error: 'Playback unavailable' });
+
+    const claims = claimsFromReq(req);
+    const rec = await Recordings.findOne({ videoCode: code }, { sort: { requestedAt: -1 } });
+    if (!canPlay(rec, { key: req.body?.key, claims })) {
+      return res.status(claims ? 403 : 401).json({
+        error: rec.visibility === 'owner' ? 'This game is private' : 'This game needs its share link'
+      });
+    }
+
+    // ip: the clipper's per-client render limit keys on it, since it cannot
+    // trust forwarded headers itself
+    const token = jwt.sign({ scope: 'playback', code, ip: clientIp(req) }, PLAYBACK_SECRET, {
+      audience: 'playback',
+      expiresIn: PLAYBACK_TOKEN_TTL
+    });
+    res.json({ token, visibility: rec?.visibility || 'public' });
+  } catch (e) {
+    console.error('playback token failed:', e.message);
+    res.status(500).json({ error: 'Unable to authorize playback' });
+  }
+});
+
+// ── Bookings ────────────────────────────────────────────────────────────────
+// booked → starting → recording → stopping → done, or canceled / missed / failed.
+// The booking worker starts and stops the camera at the booked times.
+const ACTIVE_BOOKING_STATES = ['booked', 'starting', 'recording', 'stopping'];
+const BOOKING_MIN_MIN = Number(process.env.BOOKING_MIN_MIN || 15);
+const BOOKING_MAX_MIN = Number(process.env.BOOKING_MAX_MIN || 180);
+const BOOKING_HORIZON_DAYS = Number(process.env.BOOKING_HORIZON_DAYS || 14);
+const BOOKING_MAX_PER_PHONE = Number(process.env.BOOKING_MAX_PER_PHONE || 3);
+const BOOKING_TICK_SEC = Number(process.env.BOOKING_TICK_SEC || 15);
+const BOOKING_LOCK_GRACE_SEC = 300;
+const BOOKING_STALE_SEC = 120; // starting/stopping with no update for this long → reclaimed
+const BOOKING_STOP_MAX_ATTEMPTS = 5;
+const VENUE_TZ = process.env.VENUE_TZ || 'Asia/Jerusalem';
+
+const bookingLockKey = (cameraId) => `camera:${cameraId}:booking`;
+
+// "YYYY-MM-DD HH:MM" in venue time, the shape /record/status already uses.
+function formatVenueTime(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: VENUE_TZ,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+async function bookingAt(cameraId, when) {
+  if (!Bookings) return null;
+  return Bookings.findOne({
+    cameraId,
+    status: { $in: ACTIVE_BOOKING_STATES },
+    start: { $lte: when },
+    end: { $gt: when }
+  });
+}
+async function bookingStartingWithin(cameraId, now, sec) {
+  if (!Bookings) return null;
+  return Bookings.findOne(
+    { cameraId, status: 'booked', start: { $gt: now, $lte: new Date(now.getTime() + sec * 1000) } },
+    { sort: { start: 1 } }
+  );
+}
+function publicBooking(b, claims) {
+  return {
+    id: String(b._id),
+    cameraId: b.cameraId,
+    start: b.start,
+    end: b.end,
+    status: b.status,
+    mine: !!claims && claims.phone === b.phone
+  };
+}
+
+app.get('/bookings', async (req, res) => {
+  try {
+    const { cameraId } = req.query;
+    if (!cameraId) return res.status(400).json({ error: 'cameraId required' });
+    if (!Bookings) return res.status(503).json({ error: 'Bookings unavailable' });
+
+    const now = new Date();
+    const until = new Date(now.getTime() + BOOKING_HORIZON_DAYS * 86400000);
+    const list = await Bookings.find({
+      cameraId: String(cameraId),
+      status: { $in: ACTIVE_BOOKING_STATES },
+      end: { $gt: now },
+      start: { $lt: until }
+    }).sort({ start: 1 }).toArray();
+    const claims = claimsFromReq(req);
+    res.json({ bookings: list.map(b => publicBooking(b, claims)) });
+  } catch (e) {
+    console.error('bookings list failed:', e.message);
+    res.status(500).json({ error: 'Unable to load bookings' });
+  }
+});
+
+app.post('/bookings', async (req, res) => {
+  let lockOwner = null;
+  let lockedCameraId = null;
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ error: 'No token' });
+
+    const claims = verifyJwtOrThrow401(token);
+    const cameraId = typeof req.body?.cameraId === 'string' && req.body.cameraId ? req.body.cameraId : claims.cameraId;
+    if (!cameraId) return res.status(400).json({ error: 'cameraId required' });
+    if (!toIsraeliLocalPhone(claims.phone)) return res.status(400).json({ error: 'Invalid Israeli mobile number' });
+
+    const start = parseDateOr(req.body?.start, null);
+    const end = parseDateOr(req.body?.end, null);
+    const now = Date.now();
+    if (!start || !end) return res.status(400).json({ error: 'start and end are required' });
+    if (start.getTime() <= now) return res.status(400).json({ error: 'Booking must start in the future' });
+    if (start.getTime() > now + BOOKING_HORIZON_DAYS * 86400000) {
+      return res.status(400).json({ error: `Bookings open ${BOOKING_HORIZON_DAYS} days ahead` });
+    }
+    const minutes = (end - start) / 60000;
+    if (minutes < BOOKING_MIN_MIN || minutes > BOOKING_MAX_MIN) {
+      return res.status(400).json({ error: `Booking must last ${BOOKING_MIN_MIN}–${BOOKING_MAX_MIN} minutes` });
+    }
+    if (!Bookings) return res.status(503).json({ error: 'Bookings unavailable' });
+
+    // Serialize overlap check + insert per camera.
+    lockOwner = `${cameraId}:${claims.lockOwnerTokenId}`;
+    if (!(await redis.set(bookingLockKey(cameraId), lockOwner, 'NX', 'EX', REQUEST_LOCK_TTL_SEC))) {
+      lockOwner = null;
+      return res.status(423).json({ error: 'Another booking is being made for this camera' });
+    }
+    lockedCameraId = cameraId;
+
+    const upcoming = await Bookings.countDocuments({ phone: claims.phone, status: 'booked' });
+    if (upcoming >= BOOKING_MAX_PER_PHONE) {
+      return res.status(429).json({ error: `You can hold up to ${BOOKING_MAX_PER_PHONE} upcoming bookings` });
+    }
+    const overlap = await Bookings.findOne({
+      cameraId,
+      status: { $in: ACTIVE_BOOKING_STATES },
+      start: { $lt: end },
+      end: { $gt: start }
+    });
+    if (overlap) {
+      return res.status(409).json({
+        error: 'That time overlaps another booking',
+        conflict: { start: overlap.start, end: overlap.end }
+      });
+    }
+
+    const booking = {
+      cameraId,
+      phone: claims.phone,
+      start,
+      end,
+      status: 'booked',
+      lockOwnerTokenId: `booking-${crypto.randomBytes(6).toString('hex')}`,
+      createdAt: new Date()
+    };
+    const { insertedId } = await Bookings.insertOne(booking);
+    await sendEmail(
+      `📅 Camera ${cameraId} booked`,
+      `${claims.phone} booked ${formatVenueTime(start)}–${formatVenueTime(end)}.`
+    );
+    res.json({ ok: true, booking: publicBooking({ ...booking, _id: insertedId }, claims) });
+  } catch (e) {
+    const code = e.statusCode || 500;
+    res.status(code).json({ error: code === 401 ? e.message : 'Unable to create booking' });
+  } finally {
+    if (lockOwner && lockedCameraId) {
+      await redis.eval(UNLOCK_LUA, 1, bookingLockKey(lockedCameraId), lockOwner).catch(err => {
+        console.error('booking lock release failed:', err.message);
+      });
+    }
+  }
+});
+
+app.delete('/bookings/:id', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ error: 'No token' });
+
+    const claims = verifyJwtOrThrow401(token);
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+    if (!Bookings) return res.status(503).json({ error: 'Bookings unavailable' });
+
+    const owner = STAFF_ROLES.includes(claims.role) ? {} : { phone: claims.phone };
+    const booking = await Bookings.findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), status: 'booked', ...owner },
+      { $set: { status: 'canceled', canceledAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!booking) return res.status(404).json({ error: 'Booking not found or already started' });
+    res.json({ ok: true });
+  } catch (e) {
+    const code = e.statusCode || 500;
+    res.status(code).json({ error: code === 401 ? e.message : 'Unable to cancel booking' });
+  }
+});
+
+// A walk-in still on the camera at the booked start is stopped first. The
+// booking then waits, tick by tick, until the camera reports it has finished.
+async function cameraFreeForBooking(b) {
+  const walkIn = await Recordings.findOne(
+    { cameraId: b.cameraId, status: { $in: ['requested', 'active'] }, bookingId: { $exists: false } },
+    { sort: { requestedAt: -1 } }
+  );
+  if (walkIn) {
+    await stopRecording(b.cameraId, walkIn.lockOwnerTokenId, 'Pitch booked').catch(e => {
+      console.warn(`Walk-in stop failed for ${b.cameraId}:`, e.message);
+    });
+    return false;
+  }
+  if (!getCameraStatusUrl()) return true;
+  const cam = await fetchCameraStatus(b.cameraId).catch(() => null);
+  return !!cam && !cam.recording;
+}
+
+async function startDueBookings(now) {
+  for (;;) {
+    const b = await Bookings.findOneAndUpdate(
+      // a booking still waiting for its camera on this tick tries again on the next
+      { status: 'booked', start: { $lte: now }, end: { $gt: now }, $or: [{ retryAt: { $exists: false } }, { retryAt: { $lte: now } }] },
+      { $set: { status: 'starting', updatedAt: now } },
+      { sort: { start: 1 }, returnDocument: 'after' }
+    );
+    if (!b) return;
+    try {
+      if (!(await cameraFreeForBooking(b))) {
+        await Bookings.updateOne({ _id: b._id }, {
+          $set: { status: 'booked', retryAt: new Date(now.getTime() + 1), updatedAt: new Date() }
+        });
+        continue;
+      }
+      const recordingId = await startRecording({
+        cameraId: b.cameraId,
+        phone: b.phone,
+        lockOwnerTokenId: b.lockOwnerTokenId,
+        // nobody heartbeats a booking; hold the camera until the booked end
+        lockTtlSec: Math.ceil((b.end - now) / 1000) + BOOKING_LOCK_GRACE_SEC,
+        bookingId: b._id
+      });
+      await Bookings.updateOne({ _id: b._id }, { $set: { status: 'recording', recordingId, startedAt: new Date() } });
+      await sendEmail(`🎥 Booked recording started on ${b.cameraId}`, `${b.phone} booking until ${formatVenueTime(b.end)}.`);
+    } catch (e) {
+      const reason = e.statusCode === 409 ? e.message : describeCameraError('start', e);
+      await Bookings.updateOne({ _id: b._id }, { $set: { status: 'failed', failureReason: reason, updatedAt: new Date() } });
+      await sendEmail(`⚠️ Booked recording failed on ${b.cameraId}`, `${b.phone}: ${reason}`);
+    }
+  }
+}
+
+async function stopDueBookings(now) {
+  for (;;) {
+    const b = await Bookings.findOneAndUpdate(
+      // a stop that failed on this tick waits for the next one
+      { status: 'recording', end: { $lte: now }, $or: [{ lastStopAt: { $exists: false } }, { lastStopAt: { $lt: now } }] },
+      { $set: { status: 'stopping', lastStopAt: now, updatedAt: now }, $inc: { stopAttempts: 1 } },
+      { sort: { end: 1 }, returnDocument: 'after' }
+    );
+    if (!b) return;
+    const lockOwner = `${b.cameraId}:${b.lockOwnerTokenId}`;
+
+    // Already over (the camera stopped on its own, or staff force-stopped it):
+    // nothing left to stop, only the booking to close.
+    const rec = await Recordings.findOne(
+      { cameraId: b.cameraId, lockOwnerTokenId: b.lockOwnerTokenId },
+      { sort: { requestedAt: -1 } }
+    );
+    if (!rec || !['requested', 'active'].includes(rec.status)) {
+      await releaseLockIfOwner(b.cameraId, lockOwner).catch(() => {});
+      const ok = rec && rec.status !== 'failed';
+      await Bookings.updateOne({ _id: b._id }, {
+        $set: ok
+          ? { status: 'done', stoppedAt: rec.stoppedAt || new Date(), updatedAt: new Date() }
+          : { status: 'failed', failureReason: rec?.failureReason || 'Recording not found', updatedAt: new Date() }
+      });
+      continue;
+    }
+
+    try {
+      await stopRecording(b.cameraId, b.lockOwnerTokenId, 'Booking ended');
+      await Bookings.updateOne({ _id: b._id }, { $set: { status: 'done', stoppedAt: new Date() } });
+    } catch (e) {
+      const reason = describeCameraError('stop', e);
+      console.warn(`Booking stop failed for ${b.cameraId} (attempt ${b.stopAttempts}):`, e.message);
+      if (b.stopAttempts < BOOKING_STOP_MAX_ATTEMPTS) {
+        await Bookings.updateOne({ _id: b._id }, { $set: { status: 'recording', lastError: reason } });
+        continue;
+      }
+      await releaseLockIfOwner(b.cameraId, lockOwner).catch(() => {});
+      await Bookings.updateOne({ _id: b._id }, { $set: { status: 'failed', failureReason: reason, updatedAt: new Date() } });
+      await sendEmail(
+        `⚠️ Booked recording did not stop on ${b.cameraId}`,
+        `${b.phone}: ${reason} (gave up after ${b.stopAttempts} attempts)`
+      );
+    }
+  }
+}
+
+// A worker that died between claiming a booking and finishing the camera call
+// leaves it starting or stopping, which still blocks the pitch. Once the claim
+// is stale, settle it from the recording it did (or did not) create.
+async function reclaimStaleBookings(now) {
+  const staleBefore = new Date(now.getTime() - BOOKING_STALE_SEC * 1000);
+  for (;;) {
+    const b = await Bookings.findOneAndUpdate(
+      { status: 'starting', updatedAt: { $lt: staleBefore } },
+      { $set: { updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+    if (!b) break;
+    const rec = await Recordings.findOne(
+      { cameraId: b.cameraId, lockOwnerTokenId: b.lockOwnerTokenId },
+      { sort: { requestedAt: -1 } }
+    );
+    if (rec && rec.status !== 'failed') {
+      await Bookings.updateOne({ _id: b._id }, { $set: { status: 'recording', recordingId: rec._id, startedAt: rec.requestedAt } });
+    } else if (rec) {
+      await Bookings.updateOne({ _id: b._id }, { $set: { status: 'failed', failureReason: rec.failureReason || 'Recording failed', updatedAt: now } });
+    } else {
+      // never got as far as the camera: free its claim and let the next start retry
+      await releaseLockIfOwner(b.cameraId, `${b.cameraId}:${b.lockOwnerTokenId}`).catch(() => {});
+      await Bookings.updateOne({ _id: b._id }, { $set: { status: 'booked', updatedAt: now } });
+    }
+  }
+  // stopping is retried like a failed stop
+  await Bookings.updateMany(
+    { status: 'stopping', updatedAt: { $lt: staleBefore } },
+    { $set: { status: 'recording', updatedAt: now } }
+  );
+}
+
+async function runBookingWorker() {
+  if (!Bookings) return;
+  const now = new Date();
+  await reclaimStaleBookings(now);
+  await Bookings.updateMany(
+    { status: 'booked', end: { $lte: now } },
+    { $set: { status: 'missed', updatedAt: now } }
+  );
+  await stopDueBookings(now);
+  await startDueBookings(now);
+}
+
+// Vercel Cron entry point (vercel.json "crons"); Vercel sends CRON_SECRET as a bearer token.
+// The every-minute schedule needs a paid Vercel plan: Hobby crons run at most
+// once a day, and Vercel rejects the deploy. On Hobby, drop "crons" and have an
+// outside scheduler call this route each minute, or run the server on a
+// long-running host, where the worker ticks every BOOKING_TICK_SEC.
+app.get('/bookings/run', async (req, res) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!process.env.CRON_SECRET || !sameSecret(token, process.env.CRON_SECRET)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  try {
+    await runBookingWorker();
+    await retryPendingSms();
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('booking worker failed:', e.message);
+    res.status(500).json({ error: 'Booking worker failed' });
+  }
+});
+
+// ── Admin ───────────────────────────────────────────────────────────────────
+// Staff-only (role claim from /auth/verify-otp, set on the Users document).
+const ADMIN_RECORDINGS_LIMIT = 50;
+
+function verifyStaffOrThrow(req) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    const err = new Error('No token');
+    err.statusCode = 401;
+    throw err;
+  }
+  const claims = verifyJwtOrThrow401(token);
+  if (!STAFF_ROLES.includes(claims.role)) {
+    const err = new Error('Staff only');
+    err.statusCode = 403;
+    throw err;
+  }
+  return claims;
+}
+function adminError(res, e, fallback) {
+  const code = e.statusCode || 500;
+  if (code >= 500) console.error(`${fallback}:`, e.message);
+  res.status(code).json({ error: code < 500 ? e.message : fallback });
+}
+
+async function lockInfo(key) {
+  const [owner, ttl] = await Promise.all([redis.get(key), redis.ttl(key)]);
+  return owner ? { owner, ttl } : null;
+}
+async function cameraOverview(cameraId, label) {
+  const [cam, lock, requestLock, booking, latest] = await Promise.all([
+    getCameraStatusUrl()
+      ? fetchCameraStatus(cameraId).catch(e => ({ error: e.message }))
+      : null,
+    lockInfo(lockKey(cameraId)).catch(() => null),
+    lockInfo(requestLockKey(cameraId)).catch(() => null),
+    bookingAt(cameraId, new Date()).catch(() => null),
+    Recordings.findOne({ cameraId }, { sort: { requestedAt: -1 } })
+  ]);
+
+  // Map the lock owner back to a phone: owners are "<cameraId>:<lockOwnerTokenId>".
+  if (lock) {
+    const tokenId = lock.owner.slice(cameraId.length + 1);
+    const holder = await Recordings.findOne({ cameraId, lockOwnerTokenId: tokenId }, { sort: { requestedAt: -1 } });
+    lock.phone = holder?.phone;
+    lock.recordingId = holder ? String(holder._id) : undefined;
+  }
+
+  return {
+    cameraId,
+    name: label?.name,
+    pitch: label?.pitch,
+    status: cam,
+    lock,
+    requestLock,
+    booking: booking ? publicBooking(booking, null) : null,
+    latest: latest ? adminRecording(latest) : null
+  };
+}
+function adminRecording(rec) {
+  return {
+    id: String(rec._id),
+    cameraId: rec.cameraId,
+    phone: rec.phone,
+    bookingId: rec.bookingId ? String(rec.bookingId) : undefined,
+    ...publicRecording(rec),
+    visibility: rec.visibility,
+    history: rec.history || [],
+    deliveryLog: rec.deliveryLog || []
+  };
+}
+
+app.get('/admin/cameras', async (req, res) => {
+  try {
+    verifyStaffOrThrow(req);
+    if (!Recordings) return res.status(503).json({ error: 'Mongo unavailable' });
+
+    // Cameras only exist as ids in QR links; list every id we have seen plus labelled ones.
+    const [labels, seen, booked] = await Promise.all([
+      Cameras.find({}).toArray(),
+      Recordings.distinct('cameraId'),
+      Bookings.distinct('cameraId')
+    ]);
+    const byId = new Map(labels.map(c => [c.cameraId, c]));
+    const ids = [...new Set([...byId.keys(), ...seen, ...booked])].filter(Boolean).sort();
+    const cameras = await Promise.all(ids.map(id => cameraOverview(id, byId.get(id))));
+    res.json({ cameras });
+  } catch (e) {
+    adminError(res, e, 'Unable to load cameras');
+  }
+});
+
+app.put('/admin/cameras/:cameraId', async (req, res) => {
+  try {
+    verifyStaffOrThrow(req);
+    if (!Cameras) return res.status(503).json({ error: 'Mongo unavailable' });
+
+    const { cameraId } = req.params;
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim().slice(0, 80) : '';
+    const pitch = typeof req.body?.pitch === 'string' ? req.body.pitch.trim().slice(0, 80) : '';
+    await Cameras.updateOne(
+      { cameraId },
+      { $set: { name, pitch, updatedAt: new Date() }, $setOnInsert: { cameraId, createdAt: new Date() } },
+      { upsert: true }
+    );
+    res.json({ ok: true });
+  } catch (e) {
+    adminError(res, e, 'Unable to save camera');
+  }
+});
+
+app.get('/admin/recordings', async (req, res) => {
+  try {
+    verifyStaffOrThrow(req);
+    if (!Recordings) return res.status(503).json({ error: 'Mongo unavailable' });
+
+    const filter = req.query.cameraId ? { cameraId: String(req.query.cameraId) } : {};
+    const recs = await Recordings.find(filter)
+      .sort({ requestedAt: -1 })
+      .limit(ADMIN_RECORDINGS_LIMIT)
+      .toArray();
+    res.json({ recordings: recs.map(adminRecording) });
+  } catch (e) {
+    adminError(res, e, 'Unable to load recordings');
+  }
+});
+
+// Stops the camera whoever holds the lock, and clears the lock.
+app.post('/admin/cameras/:cameraId/force-stop', async (req, res) => {
+  try {
+    const { phone: staffPhone } = verifyStaffOrThrow(req);
+    const { cameraId } = req.params;
+
+    const url = getCameraUrl('stop', cameraId);
+    await axios.post(url, {}, { timeout: 8000 });
+
+    const note = `Force-stopped by staff ${staffPhone}`;
+    if (Recordings) {
+      const rec = await transitionRecording({ cameraId }, 'stopped', { note });
+      if (rec?.bookingId && Bookings) {
+        await Bookings.updateOne(
+          { _id: rec.bookingId, status: { $in: ['recording', 'stopping'] } },
+          { $set: { status: 'done', stoppedAt: new Date(), note } }
+        );
+      }
+    }
+    await redis.del(lockKey(cameraId));
+    await sendEmail(`🛑 Recording force-stopped on ${cameraId}`, note);
+    res.json({ ok: true });
+  } catch (e) {
+    if (e.isAxiosError) {
+      return res.status(503).json({ error: describeCameraError('stop', e) });
+    }
+    adminError(res, e, 'Unable to stop recording');
+  }
+});
+
+// Clears a stuck camera:<id>:request lock (e.g. a crashed /record/start).
+app.delete('/admin/cameras/:cameraId/request-lock', async (req, res) => {
+  try {
+    const { phone: staffPhone } = verifyStaffOrThrow(req);
+    const released = await redis.del(requestLockKey(req.params.cameraId));
+    console.log('Request lock released by staff', { cameraId: req.params.cameraId, staffPhone, released });
+    res.json({ ok: true, released: released === 1 });
+  } catch (e) {
+    adminError(res, e, 'Unable to release lock');
+  }
+});
+
+// ── Overlay templates ───────────────────────────────────────────────────────
+// Branding the clipper burns into exports (brand=1), one per venue (a camera's
+// pitch label) plus "default". The clipper reads this collection directly.
+const TEMPLATE_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+function overlayTemplateFromBody(body = {}) {
+  const str = (v, max) => (typeof v === 'string' ? v.trim().slice(0, max) : '');
+  const corner = (v, fallback) => (TEMPLATE_CORNERS.includes(v) ? v : fallback);
+  const logoUrl = str(body.logoUrl, 500);
+  if (logoUrl && !/^https:\/\//i.test(logoUrl)) {
+    const err = new Error('logoUrl must be an https URL');
+    err.statusCode = 400;
+    throw err;
+  }
+  const titleSec = Number(body.titleSec);
+  return {
+    logoUrl,
+    logoCorner: corner(body.logoCorner, 'top-right'),
+    title: str(body.title, 80),
+    titleSec: Number.isFinite(titleSec) ? Math.min(10, Math.max(0, titleSec)) : 3,
+    showDate: body.showDate !== false,
+    scoreCorner: corner(body.scoreCorner, 'top-left')
+  };
+}
+
+app.get('/admin/overlay-templates', async (req, res) => {
+  try {
+    verifyStaffOrThrow(req);
+    if (!OverlayTemplates) return res.status(503).json({ error: 'Mongo unavailable' });
+
+    const templates = await OverlayTemplates.find({}, { projection: { _id: 0 } }).sort({ venue: 1 }).toArray();
+    res.json({ templates });
+  } catch (e) {
+    adminError(res, e, 'Unable to load templates');
+  }
+});
+
+app.put('/admin/overlay-templates/:venue', async (req, res) => {
+  try {
+    const { phone: staffPhone } = verifyStaffOrThrow(req);
+    if (!OverlayTemplates) return res.status(503).json({ error: 'Mongo unavailable' });
+
+    const venue = req.params.venue.trim().slice(0, 80);
+    if (!venue) return res.status(400).json({ error: 'Venue required' });
+    const template = overlayTemplateFromBody(req.body);
+    await OverlayTemplates.updateOne(
+      { venue },
+      { $set: { ...template, updatedAt: new Date(), updatedBy: staffPhone }, $setOnInsert: { venue } },
+      { upsert: true }
+    );
+    res.json({ ok: true, template: { venue, ...template } });
+  } catch (e) {
+    adminError(res, e, 'Unable to save template');
+  }
+});
+
+app.delete('/admin/overlay-templates/:venue', async (req, res) => {
+  try {
+    verifyStaffOrThrow(req);
+    if (!OverlayTemplates) return res.status(503).json({ error: 'Mongo unavailable' });
+
+    const { deletedCount } = await OverlayTemplates.deleteOne({ venue: req.params.venue });
+    res.json({ ok: true, deleted: deletedCount === 1 });
+  } catch (e) {
+    adminError(res, e, 'Unable to delete template');
+  }
+});
+
 // ── Start server / export app ───────────────────────────────────────────────
 const PORT = process.env.PORT || 3001;
 if (process.env.VERCEL) {
@@ -412,4 +1617,19 @@ if (process.env.VERCEL) {
   module.exports = app;
 } else {
   app.listen(PORT, () => console.log('Server running on', PORT));
+
+  // Long-running host: reconcile open recordings and retry delivery SMS in the
+  // background. On Vercel the status/heartbeat routes reconcile and webhook
+  // traffic retries pending SMS instead.
+  if (getCameraStatusUrl()) {
+    setInterval(() => {
+      reconcileOpenRecordings().catch(e => console.warn('Reconcile sweep failed:', e.message));
+    }, RECONCILE_INTERVAL_SEC * 1000);
+  }
+  setInterval(() => {
+    retryPendingSms().catch(e => console.warn('SMS retry sweep failed:', e.message));
+  }, SMS_RETRY_BASE_SEC * 1000);
+  setInterval(() => {
+    runBookingWorker().catch(e => console.warn('Booking worker failed:', e.message));
+  }, BOOKING_TICK_SEC * 1000);
 }